@@ -0,0 +1,96 @@
+// Response generators for the voice agent - decide what the agent says next
+//
+// A generator is { name, respond({ text, history, callSid }) → Promise<{ text, hangup }> }, where
+// history is the conversation so far as [{ role: 'caller' | 'agent', text }] (text included).
+
+// The caller wrapping up - the agent says its reply and ends the call
+const GOODBYE = /\b(bye|goodbye|that's all|that is all)\b/i;
+
+// Local stand-in - keyword replies, no network
+const LOCAL_REPLIES = [
+    { pattern: GOODBYE, text: 'Thanks for calling. Goodbye!', hangup: true },
+    { pattern: /\b(appointment|book|booking|schedule|meeting)\b/i, text: 'I can help with that. What day and time would suit you?' },
+    { pattern: /\b(price|prices|cost|how much|quote)\b/i, text: 'Pricing depends on the service. Which service are you interested in?' },
+    { pattern: /\b(open|opening|hours|closed)\b/i, text: "We're open Monday to Friday, nine until half past five." },
+    { pattern: /\b(person|human|someone|representative)\b/i, text: "I'll ask someone to call you back. Is this the best number to reach you on?" }
+];
+
+function createLocalGenerator() {
+    return {
+        name: 'local',
+        async respond({ text }) {
+            const match = LOCAL_REPLIES.find(reply => reply.pattern.test(text));
+            if (match) {
+                return { text: match.text, hangup: !!match.hangup };
+            }
+            return { text: `You said: ${text.trim()} Could you tell me a little more?`, hangup: false };
+        }
+    };
+}
+
+// OpenAI chat completions over plain fetch; the caller saying goodbye ends the call
+function createOpenAIGenerator({ apiKey, model = 'gpt-4o-mini', instructions } = {}) {
+    if (!apiKey) {
+        throw new Error('OpenAI response generator needs an API key (OPENAI_API_KEY)');
+    }
+
+    return {
+        name: 'openai',
+        async respond({ history }) {
+            const response = await fetch('https://api.openai.com/v1/chat/completions', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: 150,
+                    messages: [
+                        { role: 'system', content: instructions },
+                        ...history.map(turn => ({ role: turn.role === 'agent' ? 'assistant' : 'user', content: turn.text }))
+                    ]
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`OpenAI request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const text = data.choices && data.choices[0] && data.choices[0].message.content;
+            const lastCallerLine = history.filter(turn => turn.role === 'caller').pop();
+            return {
+                text: (text || '').trim(),
+                hangup: !!lastCallerLine && GOODBYE.test(lastCallerLine.text)
+            };
+        }
+    };
+}
+
+const generators = new Map([
+    ['local', createLocalGenerator],
+    ['openai', createOpenAIGenerator]
+]);
+
+function registerGenerator(name, factory) {
+    generators.set(name, factory);
+}
+
+function listGenerators() {
+    return [...generators.keys()];
+}
+
+function createGenerator(name, options = {}) {
+    const factory = generators.get(name);
+    if (!factory) {
+        throw new Error(`Unknown response generator "${name}" (registered: ${listGenerators().join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    registerGenerator,
+    listGenerators,
+    createGenerator
+};
@@ -0,0 +1,309 @@
+// Voice agent - the conversation loop behind a bidirectional (<Connect><Stream>) Media Stream
+//
+// Caller's finals are collected until their turn is over (the recognizer's utterance_end, or
+// utteranceEndMs after the last final for recognizers without one), then:
+// response generator → text-to-speech → mu-law frames back over the stream. A 'mark' goes out
+// every markIntervalMs of audio, so Twilio's mark echoes tell us how much has been played.
+// With bargeIn on, the caller starting to speak drops whatever is still queued with 'clear'.
+//
+// Events: 'reply' { text, turn } (reply about to play), 'interrupted' { turn, playedMs,
+// durationMs, reason }, 'turn' (timings of a finished, interrupted or dropped turn), 'hangup'
+// (a reply that ends the call has finished playing).
+const { EventEmitter } = require('events');
+const { registerGenerator, listGenerators, createGenerator } = require('./generators');
+const { registerTtsEngine, listTtsEngines, createTtsEngine } = require('./tts');
+
+const FRAME_BYTES = 160;            // 20ms of 8kHz mu-law - the frame size Twilio sends us
+const BYTES_PER_MS = 8;
+
+const TURN_DEFAULTS = {
+    bargeIn: true,
+    bargeInMinWords: 0,             // 0: speech_started interrupts; N: wait for an interim or final with N words
+    utteranceEndMs: 1000,
+    markIntervalMs: 500
+};
+
+// Fail at startup, not on the first call, when a flow names an engine that doesn't exist
+function checkAgentSettings(flowName, settings) {
+    if (!listGenerators().includes(settings.generator)) {
+        throw new Error(`Call flow "${flowName}" uses unknown response generator "${settings.generator}" (registered: ${listGenerators().join(', ')})`);
+    }
+    if (!listTtsEngines().includes(settings.tts)) {
+        throw new Error(`Call flow "${flowName}" uses unknown text-to-speech engine "${settings.tts}" (registered: ${listTtsEngines().join(', ')})`);
+    }
+}
+
+const wordCount = text => text.split(/\s+/).filter(Boolean).length;
+
+// sendMessage(object) sends one JSON message to Twilio over the stream's WebSocket.
+// settings is the flow's agent block (voice, openingLine and the TURN_DEFAULTS keys).
+function createVoiceAgent({ generator, tts, sendMessage, callSid, settings = {}, label = 'agent' }) {
+    const options = { ...TURN_DEFAULTS };
+    for (const key of Object.keys(TURN_DEFAULTS)) {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            options[key] = settings[key];
+        }
+    }
+
+    const agent = new EventEmitter();
+    const history = [];
+    const marks = new Map();        // Mark name → { playback, offsetMs } until Twilio echoes it
+    const cleared = new Set();      // Marks of audio dropped by 'clear' (Twilio still echoes them)
+    const playing = new Set();      // Replies sent to Twilio and not yet fully played
+
+    let streamSid = null;
+    let turnCount = 0;
+    let answering = null;           // Turn whose reply is being generated / synthesized
+    let caller = newCallerTurn();   // What the caller has said since the agent's last turn
+    let endOfTurnTimer = null;
+    let closed = false;
+
+    agent.history = history;
+
+    function newCallerTurn() {
+        return { texts: [], speechStartedAt: null, lastFinalAt: null };
+    }
+
+    function turnTimings(turn) {
+        return {
+            turn: turn.id,
+            callerText: turn.callerText,
+            replyText: turn.replyText || null,
+            endOfTurn: turn.endOfTurn,
+            speechMs: turn.speechStartedAt ? turn.endOfTurnAt - turn.speechStartedAt : null,
+            endpointMs: turn.lastFinalAt ? turn.endOfTurnAt - turn.lastFinalAt : null,
+            generateMs: turn.generateMs !== undefined ? turn.generateMs : null,
+            ttsMs: turn.ttsMs !== undefined ? turn.ttsMs : null,
+            responseLatencyMs: turn.firstAudioAt && turn.endOfTurnAt ? turn.firstAudioAt - turn.endOfTurnAt : null,
+            durationMs: turn.durationMs !== undefined ? turn.durationMs : null,
+            playedMs: turn.playedMs !== undefined ? turn.playedMs : null,
+            interrupted: !!turn.interrupted,
+            bargeIn: turn.bargeIn || null,
+            dropped: !!turn.dropped
+        };
+    }
+
+    // Synthesize a reply and queue it with Twilio, marking every markIntervalMs of audio
+    async function speak(turn, text, hangup) {
+        const startedAt = Date.now();
+        const audio = await tts.synthesize(text, { voice: settings.voice || null });
+        turn.ttsMs = Date.now() - startedAt;
+        if (closed || turn !== answering) {
+            return dropTurn(turn);
+        }
+        answering = null;
+
+        const entry = { role: 'agent', text };
+        history.push(entry);
+        turn.replyText = text;
+        turn.durationMs = Math.round(audio.length / BYTES_PER_MS);
+        turn.playedMs = 0;
+        turn.firstAudioAt = Date.now();
+        agent.emit('reply', { text, turn: turn.id });
+
+        const playback = { turn, entry, hangup, markNames: [] };
+        playing.add(playback);
+
+        const markBytes = Math.max(FRAME_BYTES, Math.round(options.markIntervalMs * BYTES_PER_MS / FRAME_BYTES) * FRAME_BYTES);
+        for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+            sendMessage({
+                event: 'media',
+                streamSid,
+                media: { payload: audio.subarray(offset, offset + FRAME_BYTES).toString('base64') }
+            });
+
+            const sent = Math.min(offset + FRAME_BYTES, audio.length);
+            if (sent % markBytes === 0 || sent === audio.length) {
+                const name = `turn-${turn.id}-${playback.markNames.length + 1}`;
+                marks.set(name, { playback, offsetMs: Math.round(sent / BYTES_PER_MS), last: sent === audio.length });
+                playback.markNames.push(name);
+                sendMessage({ event: 'mark', streamSid, mark: { name } });
+            }
+        }
+    }
+
+    function finishPlayback(playback, interrupted, reason = null) {
+        playing.delete(playback);
+        const turn = playback.turn;
+        turn.interrupted = interrupted;
+        turn.bargeIn = reason;
+
+        if (interrupted) {
+            // Keep only what the caller heard, so the generator knows where it was cut off
+            const words = playback.entry.text.split(/\s+/).filter(Boolean);
+            const heard = turn.durationMs > 0 ? Math.floor(words.length * turn.playedMs / turn.durationMs) : 0;
+            playback.entry.text = words.slice(0, heard).join(' ');
+            playback.entry.interrupted = true;
+            agent.emit('interrupted', { turn: turn.id, playedMs: turn.playedMs, durationMs: turn.durationMs, reason });
+        }
+
+        agent.emit('turn', turnTimings(turn));
+        if (!interrupted && playback.hangup) {
+            agent.emit('hangup');
+        }
+    }
+
+    // A reply overtaken by the caller before any of it was played
+    function dropTurn(turn) {
+        turn.dropped = true;
+        agent.emit('turn', turnTimings(turn));
+    }
+
+    // Interims and finals only barge in once they're long enough - "uh" doesn't stop the agent
+    function longEnoughToBargeIn(text) {
+        return wordCount(text) >= Math.max(1, options.bargeInMinWords);
+    }
+
+    // Barge-in: the caller is talking, stop the agent
+    function interrupt(reason) {
+        if (!options.bargeIn || playing.size === 0) {
+            return;
+        }
+        sendMessage({ event: 'clear', streamSid });
+        for (const playback of [...playing]) {
+            for (const name of playback.markNames) {
+                if (marks.delete(name)) {
+                    cleared.add(name);
+                }
+            }
+            finishPlayback(playback, true, reason);
+        }
+    }
+
+    // The caller's turn is over - answer everything they said in it
+    function endTurn(reason) {
+        clearTimeout(endOfTurnTimer);
+        endOfTurnTimer = null;
+        if (closed || caller.texts.length === 0) {
+            return;
+        }
+
+        const turn = {
+            id: ++turnCount,
+            callerText: caller.texts.join(' '),
+            endOfTurn: reason,
+            speechStartedAt: caller.speechStartedAt,
+            lastFinalAt: caller.lastFinalAt,
+            endOfTurnAt: Date.now()
+        };
+        caller = newCallerTurn();
+        history.push({ role: 'caller', text: turn.callerText });
+
+        if (answering) {
+            dropTurn(answering);
+        }
+        answering = turn;
+        respond(turn);
+    }
+
+    async function respond(turn) {
+        try {
+            const startedAt = Date.now();
+            const reply = await generator.respond({ text: turn.callerText, history: history.slice(), callSid });
+            turn.generateMs = Date.now() - startedAt;
+            if (closed || turn !== answering) {
+                return;
+            }
+            if (!reply || !reply.text) {
+                answering = null;
+                return dropTurn(turn);
+            }
+            await speak(turn, reply.text, reply.hangup);
+        } catch (error) {
+            console.error(`❌ ${label}: turn ${turn.id} failed:`, error.message || error);
+            if (turn === answering) {
+                answering = null;
+            }
+        }
+    }
+
+    // The stream's 'start' event - say the opening line, if there is one
+    agent.start = (sid) => {
+        streamSid = sid;
+        if (settings.openingLine) {
+            const turn = { id: 0, callerText: null, endOfTurn: 'call_start', endOfTurnAt: null };
+            answering = turn;
+            speak(turn, settings.openingLine, false).catch(error => {
+                console.error(`❌ ${label}: opening line failed:`, error.message || error);
+            });
+        }
+    };
+
+    // Recognizer events for the caller
+    agent.speechStarted = () => {
+        if (closed) {
+            return;
+        }
+        caller.speechStartedAt = caller.speechStartedAt || Date.now();
+        clearTimeout(endOfTurnTimer);   // Still talking - the turn isn't over
+        endOfTurnTimer = null;
+        if (options.bargeInMinWords === 0) {
+            interrupt('speech_started');
+        }
+    };
+
+    agent.hearInterim = (text) => {
+        if (closed || !text || wordCount(text) === 0) {
+            return;
+        }
+        caller.speechStartedAt = caller.speechStartedAt || Date.now();
+        if (longEnoughToBargeIn(text)) {
+            interrupt('interim');
+        }
+    };
+
+    agent.hear = (text) => {
+        if (closed || !text || text.trim().length === 0) {
+            return;
+        }
+        caller.texts.push(text.trim());
+        caller.speechStartedAt = caller.speechStartedAt || Date.now();
+        caller.lastFinalAt = Date.now();
+        if (longEnoughToBargeIn(text)) {
+            interrupt('final');
+        }
+
+        // Fallback for recognizers that never send utterance_end
+        clearTimeout(endOfTurnTimer);
+        endOfTurnTimer = setTimeout(() => endTurn('silence_timeout'), options.utteranceEndMs);
+    };
+
+    agent.utteranceEnd = () => endTurn('utterance_end');
+
+    // Twilio's 'mark' event - audio up to that mark has been played
+    agent.handleMark = (name) => {
+        if (cleared.delete(name)) {
+            return;
+        }
+        const mark = marks.get(name);
+        if (!mark) {
+            return;
+        }
+        marks.delete(name);
+        mark.playback.turn.playedMs = mark.offsetMs;
+        if (mark.last) {
+            finishPlayback(mark.playback, false);
+        }
+    };
+
+    agent.close = () => {
+        closed = true;
+        clearTimeout(endOfTurnTimer);
+        marks.clear();
+        cleared.clear();
+        playing.clear();
+    };
+
+    return agent;
+}
+
+module.exports = {
+    FRAME_BYTES,
+    TURN_DEFAULTS,
+    checkAgentSettings,
+    createVoiceAgent,
+    registerGenerator,
+    createGenerator,
+    registerTtsEngine,
+    createTtsEngine
+};
@@ -0,0 +1,90 @@
+// Text-to-speech engines for the voice agent - text in, raw 8kHz mu-law out (what a
+// bidirectional Media Stream plays back to the caller)
+//
+// An engine is { name, synthesize(text, { voice }) → Promise<Buffer> }.
+const { createClient } = require('@deepgram/sdk');
+const { linearToMulaw } = require('../g711');
+
+const SAMPLE_RATE = 8000;
+
+// Local stand-in - no speech, but a tone burst per word with pauses at punctuation, so playback
+// takes about as long as the sentence would and everything downstream can be exercised offline
+function createLocalTts({ wordMs = 220, gapMs = 80, pauseMs = 300, amplitude = 0.25 } = {}) {
+    function tone(frequency, ms) {
+        const samples = Math.round(SAMPLE_RATE * ms / 1000);
+        const fade = Math.round(SAMPLE_RATE * 0.005);
+        const audio = Buffer.alloc(samples);
+        for (let i = 0; i < samples; i++) {
+            const envelope = Math.min(1, i / fade, (samples - i) / fade);
+            audio[i] = linearToMulaw(Math.round(Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * amplitude * envelope * 32767));
+        }
+        return audio;
+    }
+
+    const silence = ms => Buffer.alloc(Math.round(SAMPLE_RATE * ms / 1000), linearToMulaw(0));
+
+    return {
+        name: 'local',
+        async synthesize(text) {
+            const parts = [];
+            for (const word of text.split(/\s+/).filter(Boolean)) {
+                // Pitch from the word itself, so the same text always sounds the same
+                const frequency = 300 + ([...word].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 200);
+                parts.push(tone(frequency, wordMs), silence(/[.,!?;:]$/.test(word) ? pauseMs : gapMs));
+            }
+            return Buffer.concat(parts);
+        }
+    };
+}
+
+// Deepgram Aura - asks for raw mu-law at 8kHz so the audio can go straight back to Twilio
+function createDeepgramTts({ apiKey, voice = 'aura-asteria-en' } = {}) {
+    if (!apiKey) {
+        throw new Error('Deepgram text-to-speech needs an API key (DEEPGRAM_API_KEY)');
+    }
+    const client = createClient(apiKey);
+
+    return {
+        name: 'deepgram',
+        async synthesize(text, options = {}) {
+            const response = await client.speak.request({ text }, {
+                model: options.voice || voice,
+                encoding: 'mulaw',
+                sample_rate: SAMPLE_RATE,
+                container: 'none'
+            });
+            if (!response.result.ok) {
+                throw new Error(`Deepgram text-to-speech failed: ${response.result.status} ${response.result.statusText}`);
+            }
+            return Buffer.from(await response.result.arrayBuffer());
+        }
+    };
+}
+
+const engines = new Map([
+    ['local', createLocalTts],
+    ['deepgram', createDeepgramTts]
+]);
+
+function registerTtsEngine(name, factory) {
+    engines.set(name, factory);
+}
+
+function listTtsEngines() {
+    return [...engines.keys()];
+}
+
+function createTtsEngine(name, options = {}) {
+    const factory = engines.get(name);
+    if (!factory) {
+        throw new Error(`Unknown text-to-speech engine "${name}" (registered: ${listTtsEngines().join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    registerTtsEngine,
+    listTtsEngines,
+    createTtsEngine
+};
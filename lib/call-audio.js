@@ -0,0 +1,271 @@
+// Call audio capture - every Media Streams track written to its own WAV file as the frames arrive
+//
+// Frames carry a timestamp (ms from the start of the stream); missing audio is filled with
+// silence, so all tracks of a call stay sample-aligned and can be mixed or compared later.
+const fs = require('fs');
+const path = require('path');
+const { mulawToLinear, alawToLinear } = require('./g711');
+
+const DEFAULT_CAPTURE_DIR = path.join(__dirname, '..', 'recordings');
+
+// WAV format tags and the silent sample for each recognizer encoding
+const WAV_FORMATS = {
+    mulaw: { formatTag: 7, silence: 0xff },
+    alaw: { formatTag: 6, silence: 0xd5 },
+    linear16: { formatTag: 1, silence: 0x00 }
+};
+
+const HEADER_BYTES = 44;
+
+// Canonical 44-byte WAV header; sizes are patched in when the file is finished
+function wavHeader(audioFormat, dataBytes) {
+    const { formatTag } = WAV_FORMATS[audioFormat.encoding];
+    const blockAlign = audioFormat.channels * audioFormat.bytesPerSample;
+    const header = Buffer.alloc(HEADER_BYTES);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(formatTag, 20);
+    header.writeUInt16LE(audioFormat.channels, 22);
+    header.writeUInt32LE(audioFormat.sampleRate, 24);
+    header.writeUInt32LE(audioFormat.sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(audioFormat.bytesPerSample * 8, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+// One track → one WAV file
+function createTrackWriter(filePath, audioFormat) {
+    const bytesPerMs = audioFormat.sampleRate * audioFormat.channels * audioFormat.bytesPerSample / 1000;
+    const blockAlign = audioFormat.channels * audioFormat.bytesPerSample;
+    const silence = WAV_FORMATS[audioFormat.encoding].silence;
+    const file = fs.createWriteStream(filePath);
+
+    let dataBytes = 0;
+    let paddedBytes = 0;
+    let finished = null;
+    let failed = null;
+
+    file.on('error', (error) => {
+        failed = error;
+        console.error(`❌ Call audio capture failed for ${filePath}:`, error.message);
+    });
+    file.write(wavHeader(audioFormat, 0));
+
+    return {
+        path: filePath,
+
+        write(frame, timestampMs) {
+            if (finished) {
+                return;
+            }
+
+            // Audio missing before this frame (dropped packets, a track that started late) → silence
+            if (Number.isFinite(timestampMs)) {
+                const expected = Math.floor(timestampMs * bytesPerMs / blockAlign) * blockAlign;
+                if (expected - dataBytes >= frame.length) {
+                    const gap = Buffer.alloc(expected - dataBytes, silence);
+                    file.write(gap);
+                    dataBytes += gap.length;
+                    paddedBytes += gap.length;
+                }
+            }
+
+            file.write(frame);
+            dataBytes += frame.length;
+        },
+
+        // Resolves once the file is complete, with its real sizes in the header. Rejects if the
+        // file couldn't be written - an errored stream never finishes, so end() wouldn't call back.
+        close() {
+            if (!finished) {
+                finished = new Promise((resolve, reject) => {
+                    if (failed) {
+                        return reject(failed);
+                    }
+                    file.once('error', reject);
+                    file.end(() => {
+                        if (failed) {
+                            return reject(failed);
+                        }
+                        fs.promises.open(filePath, 'r+')
+                            .then(async (handle) => {
+                                try {
+                                    await handle.write(wavHeader(audioFormat, dataBytes), 0, HEADER_BYTES, 0);
+                                } finally {
+                                    await handle.close();
+                                }
+                            })
+                            .then(() => resolve({
+                                path: filePath,
+                                seconds: dataBytes / bytesPerMs / 1000,
+                                paddedSeconds: paddedBytes / bytesPerMs / 1000
+                            }), reject);
+                    });
+                });
+            }
+            return finished;
+        }
+    };
+}
+
+// All tracks of one call stream - files are <dir>/<callId>-<speaker>.wav
+function createCallCapture({ dir = DEFAULT_CAPTURE_DIR, callId, audioFormat, tracks }) {
+    if (!WAV_FORMATS[audioFormat.encoding]) {
+        throw new Error(`Can't capture ${audioFormat.encoding} audio to WAV`);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const safeId = String(callId).replace(/[^A-Za-z0-9_-]/g, '_');
+    const writers = new Map();
+    for (const { track, speaker } of tracks) {
+        writers.set(track, { speaker, writer: createTrackWriter(path.join(dir, `${safeId}-${speaker}.wav`), audioFormat) });
+    }
+
+    let done = null;
+
+    return {
+        callId,
+        audioFormat,
+        files: Object.fromEntries([...writers.values()].map(({ speaker, writer }) => [speaker, writer.path])),
+
+        write(track, frame, timestampMs) {
+            const entry = writers.get(track);
+            if (entry) {
+                entry.writer.write(frame, timestampMs);
+            }
+        },
+
+        // Resolves to { speaker: { path, seconds, paddedSeconds } } once every file is complete
+        close() {
+            if (!done) {
+                done = Promise.all([...writers.values()].map(({ speaker, writer }) =>
+                    writer.close().then(result => [speaker, result])))
+                    .then(entries => Object.fromEntries(entries));
+            }
+            return done;
+        }
+    };
+}
+
+// WAV bytes → { audioFormat, data }. Walks the chunks, so files with extra chunks (Twilio's
+// recordings, for one) read as well as our own 44-byte headers.
+function parseWav(buffer, name = 'audio') {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${name} is not a WAV file`);
+    }
+
+    let audioFormat = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length && !data; ) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            const formatTag = buffer.readUInt16LE(body);
+            const encoding = Object.keys(WAV_FORMATS).find(format => WAV_FORMATS[format].formatTag === formatTag);
+            if (!encoding) {
+                throw new Error(`${name} has unsupported WAV format ${formatTag}`);
+            }
+            audioFormat = {
+                encoding,
+                bytesPerSample: buffer.readUInt16LE(body + 14) / 8,
+                sampleRate: buffer.readUInt32LE(body + 4),
+                channels: buffer.readUInt16LE(body + 2)
+            };
+        } else if (id === 'data') {
+            data = buffer.subarray(body, Math.min(body + size, buffer.length));
+        }
+        offset = body + size + (size % 2);      // Chunks are word-aligned
+    }
+
+    if (!audioFormat || !data) {
+        throw new Error(`${name} has no ${audioFormat ? 'data' : 'fmt'} chunk`);
+    }
+    return { audioFormat, data };
+}
+
+// Read a WAV file (e.g. one written by createTrackWriter) into { audioFormat, data }
+async function readWav(filePath) {
+    return parseWav(await fs.promises.readFile(filePath), filePath);
+}
+
+// A multi-channel WAV (a dual-channel call recording) → one mono WAV Buffer per channel
+function splitChannels(buffer) {
+    const { audioFormat, data } = parseWav(buffer);
+    const { channels, bytesPerSample } = audioFormat;
+    const frameBytes = channels * bytesPerSample;
+    const frames = Math.floor(data.length / frameBytes);
+    const mono = { ...audioFormat, channels: 1 };
+
+    return Array.from({ length: channels }, (_, channel) => {
+        const samples = Buffer.alloc(frames * bytesPerSample);
+        for (let frame = 0; frame < frames; frame++) {
+            const from = frame * frameBytes + channel * bytesPerSample;
+            data.copy(samples, frame * bytesPerSample, from, from + bytesPerSample);
+        }
+        return Buffer.concat([wavHeader(mono, samples.length), samples]);
+    });
+}
+
+// Sample i of a track as 16-bit linear (all channels summed)
+function sampleReader({ audioFormat, data }) {
+    const frameBytes = audioFormat.channels * audioFormat.bytesPerSample;
+    const decode = audioFormat.encoding === 'mulaw' ? mulawToLinear
+        : audioFormat.encoding === 'alaw' ? alawToLinear
+            : null;
+
+    return {
+        length: Math.floor(data.length / frameBytes),
+        sample(index) {
+            let sum = 0;
+            for (let channel = 0; channel < audioFormat.channels; channel++) {
+                const offset = index * frameBytes + channel * audioFormat.bytesPerSample;
+                sum += decode ? decode(data[offset]) : data.readInt16LE(offset);
+            }
+            return sum;
+        }
+    };
+}
+
+// Mix captured track files into one mono 16-bit WAV (a stand-in for the call recording)
+async function mixTracks(filePaths) {
+    const tracks = await Promise.all(filePaths.map(readWav));
+    const sampleRate = tracks[0].audioFormat.sampleRate;
+    if (tracks.some(track => track.audioFormat.sampleRate !== sampleRate)) {
+        throw new Error('Captured tracks have different sample rates');
+    }
+
+    const readers = tracks.map(sampleReader);
+    const length = Math.max(...readers.map(reader => reader.length));
+    const mixed = Buffer.alloc(length * 2);
+    for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (const reader of readers) {
+            if (i < reader.length) {
+                sum += reader.sample(i);
+            }
+        }
+        mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sum)), i * 2);
+    }
+
+    return Buffer.concat([
+        wavHeader({ encoding: 'linear16', bytesPerSample: 2, sampleRate, channels: 1 }, mixed.length),
+        mixed
+    ]);
+}
+
+module.exports = {
+    DEFAULT_CAPTURE_DIR,
+    createCallCapture,
+    parseWav,
+    readWav,
+    splitChannels,
+    mixTracks
+};
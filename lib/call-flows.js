@@ -0,0 +1,234 @@
+// Call-flow profiles - named inbound call configurations loaded from config/call-flows.json
+const fs = require('fs');
+const path = require('path');
+const { normalizeRingGroup } = require('./ring-groups');
+const { normalizeMenu } = require('./ivr-menus');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'call-flows.json');
+
+// Settings every profile starts from; config entries only need to list what differs
+const FLOW_DEFAULTS = {
+    mode: 'conference',             // 'conference', 'bridge' or 'agent'
+    label: null,                    // Mode name shown on the dashboard (defaults to the flow name)
+    conferencePrefix: 'conf',
+    greeting: null,
+    participantGreeting: null,
+    closingMessage: null,
+    voice: 'alice',
+    record: false,
+    recordingChannels: 'mono',      // 'dual' keeps each side on its own channel (bridge) or leg (conference)
+    liveStream: false,
+    captureAudio: false,            // Also write the live stream's tracks to WAV files (needs liveStream)
+    region: 'ireland',
+    maxParticipants: 10,
+    beep: false,
+    endConferenceOnExit: false,
+    statusCallback: true,
+    announceCall: false,
+    menu: null,                     // Name of an IVR menu to play before connecting (conference flows)
+    ringGroup: null,                // Name of a ring group to dial instead of a single participant
+    participantNumber: null,        // Falls back to PARTICIPANT_NUMBER
+    bridgeNumber: null,             // Falls back to BRIDGE_TARGET_NUMBER, then PARTICIPANT_NUMBER
+    dialDelayMs: 2000,
+    dialTimeout: 30,
+    failover: null,                 // What to do when nobody answers, see FAILOVER_DEFAULTS
+    voicemail: null,                // Voicemail step settings, see VOICEMAIL_DEFAULTS
+    consent: null,                  // Recording disclosure / opt-out step, see CONSENT_DEFAULTS
+    agent: null                     // Voice agent settings (agent flows), see AGENT_DEFAULTS
+};
+
+// When the ring group is exhausted: dial the backup numbers once, then run the action
+const FAILOVER_DEFAULTS = {
+    numbers: [],
+    action: 'message',              // 'message' (play message and hang up), 'voicemail' or 'none' (leave caller waiting)
+    message: 'Sorry, nobody is available to take your call right now. Please try again later.'
+};
+
+// Voicemail step: greeting, then <Record> until maxLength seconds or finishOnKey
+const VOICEMAIL_DEFAULTS = {
+    greeting: 'Sorry, nobody is available to take your call. Please leave a message after the tone and press the hash key when you are finished.',
+    maxLength: 120,
+    finishOnKey: '#',
+    playBeep: true,
+    silenceTimeout: 5,
+    closingMessage: 'Thank you, your message has been recorded. Goodbye.'
+};
+
+// Recording consent: announce recording before connecting, caller presses optOutKey to decline.
+// Declining still connects the call, just without recording or live streaming (agent flows:
+// the agent still answers, but the conversation isn't broadcast or sent on).
+const CONSENT_DEFAULTS = {
+    enabled: false,
+    prompt: 'This call will be recorded and transcribed. To continue without recording, press 9 now.',
+    optOutKey: '9',
+    timeout: 4,
+    declinedMessage: 'Okay, this call will not be recorded.'
+};
+
+// Voice agent: answers the call itself over a bidirectional stream. generator and tts name
+// engines registered in lib/agent; voice is passed to the TTS engine (e.g. a Deepgram Aura model).
+const AGENT_DEFAULTS = {
+    generator: 'local',
+    tts: 'local',
+    voice: null,
+    openingLine: 'Hi, thanks for calling. How can I help you today?',
+    instructions: 'You are a friendly receptionist answering a phone call. Keep every reply to one or two short, spoken-style sentences.',
+    bargeIn: true,                  // Caller speech stops the agent mid-reply
+    bargeInMinWords: 0,             // 0: any detected speech interrupts; N: only an interim or final with N+ words
+    endpointingMs: 300,             // Silence that ends one of the caller's phrases
+    utteranceEndMs: 1000,           // Silence that ends the caller's turn - then the agent answers
+    markIntervalMs: 500             // How finely playback position is tracked
+};
+
+const VALID_MODES = ['conference', 'bridge', 'agent'];
+const VALID_FAILOVER_ACTIONS = ['message', 'voicemail', 'none'];
+const VALID_RECORDING_CHANNELS = ['mono', 'dual'];
+
+let callFlowConfig = null;
+
+// Load and validate the profile file (CALL_FLOWS_CONFIG overrides the bundled one)
+function loadCallFlows(configPath = process.env.CALL_FLOWS_CONFIG || DEFAULT_CONFIG_PATH) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const flows = {};
+    const ringGroups = {};
+
+    for (const [name, settings] of Object.entries(raw.ringGroups || {})) {
+        ringGroups[name] = normalizeRingGroup(name, settings);
+    }
+
+    const menus = {};
+    for (const [name, settings] of Object.entries(raw.menus || {})) {
+        menus[name] = normalizeMenu(name, settings, ringGroups);
+    }
+
+    for (const [name, settings] of Object.entries(raw.flows || {})) {
+        const flow = { ...FLOW_DEFAULTS, ...settings, name };
+        flow.label = flow.label || name;
+        flow.failover = { ...FAILOVER_DEFAULTS, ...(settings.failover || {}) };
+        flow.voicemail = { ...VOICEMAIL_DEFAULTS, ...(settings.voicemail || {}) };
+        flow.consent = { ...CONSENT_DEFAULTS, ...(settings.consent || {}) };
+        flow.agent = { ...AGENT_DEFAULTS, ...(settings.agent || {}) };
+
+        if (!VALID_MODES.includes(flow.mode)) {
+            throw new Error(`Call flow "${name}" has invalid mode "${flow.mode}"`);
+        }
+        if (!VALID_FAILOVER_ACTIONS.includes(flow.failover.action)) {
+            throw new Error(`Call flow "${name}" has invalid failover action "${flow.failover.action}"`);
+        }
+        if (flow.ringGroup && !ringGroups[flow.ringGroup]) {
+            throw new Error(`Call flow "${name}" uses unknown ring group "${flow.ringGroup}"`);
+        }
+        if (flow.menu && !menus[flow.menu]) {
+            throw new Error(`Call flow "${name}" uses unknown menu "${flow.menu}"`);
+        }
+        if (!VALID_RECORDING_CHANNELS.includes(flow.recordingChannels)) {
+            throw new Error(`Call flow "${name}" has invalid recordingChannels "${flow.recordingChannels}" (expected ${VALID_RECORDING_CHANNELS.join(', ')})`);
+        }
+        if (flow.recordingChannels === 'dual' && flow.mode === 'agent') {
+            throw new Error(`Call flow "${name}" asks for dual-channel recording but agent flows aren't recorded`);
+        }
+        if (flow.menu && flow.mode !== 'conference') {
+            throw new Error(`Call flow "${name}" has a menu but menus only work with conference flows`);
+        }
+
+        flows[name] = flow;
+    }
+
+    const defaultFlow = raw.defaultFlow || Object.keys(flows)[0];
+    if (!flows[defaultFlow]) {
+        throw new Error(`Default call flow "${defaultFlow}" is not defined`);
+    }
+
+    for (const [number, flowName] of Object.entries(raw.numbers || {})) {
+        if (!flows[flowName]) {
+            throw new Error(`Number ${number} points at unknown call flow "${flowName}"`);
+        }
+    }
+
+    callFlowConfig = {
+        defaultFlow,
+        numbers: raw.numbers || {},
+        flows,
+        ringGroups,
+        menus
+    };
+
+    console.log(`📋 Loaded ${Object.keys(flows).length} call flows from ${configPath} (default: ${defaultFlow})`);
+    return callFlowConfig;
+}
+
+function getCallFlowConfig() {
+    return callFlowConfig || loadCallFlows();
+}
+
+function getCallFlow(name) {
+    return getCallFlowConfig().flows[name] || null;
+}
+
+// Pick a profile: explicit ?flow= first, then the dialed number, then the default
+function resolveCallFlow({ flowName, to } = {}) {
+    const config = getCallFlowConfig();
+
+    if (flowName) {
+        if (config.flows[flowName]) {
+            return config.flows[flowName];
+        }
+        console.log(`⚠️ Unknown call flow "${flowName}" requested - using default`);
+    }
+
+    if (to && config.numbers[to]) {
+        return config.flows[config.numbers[to]];
+    }
+
+    return config.flows[config.defaultFlow];
+}
+
+function getMenu(name) {
+    return getCallFlowConfig().menus[name] || null;
+}
+
+function getParticipantNumber(flow) {
+    return flow.participantNumber || process.env.PARTICIPANT_NUMBER || null;
+}
+
+// Ring group for a flow's participant leg; a flow without one rings its single participant number.
+// An IVR menu selection can point the call at a different ring group or number.
+function getRingGroup(flow, menuSelection = null) {
+    if (menuSelection && menuSelection.ringGroup) {
+        return getCallFlowConfig().ringGroups[menuSelection.ringGroup];
+    }
+    if (flow.ringGroup && !(menuSelection && menuSelection.participantNumber)) {
+        return getCallFlowConfig().ringGroups[flow.ringGroup];
+    }
+
+    const participantNumber = (menuSelection && menuSelection.participantNumber) || getParticipantNumber(flow);
+    if (!participantNumber) {
+        return null;
+    }
+
+    return normalizeRingGroup(`${flow.name}-participant`, {
+        numbers: [participantNumber],
+        strategy: 'sequential',
+        legTimeout: flow.dialTimeout
+    });
+}
+
+function getBridgeNumber(flow) {
+    return flow.bridgeNumber || process.env.BRIDGE_TARGET_NUMBER || process.env.PARTICIPANT_NUMBER || null;
+}
+
+module.exports = {
+    FLOW_DEFAULTS,
+    FAILOVER_DEFAULTS,
+    VOICEMAIL_DEFAULTS,
+    CONSENT_DEFAULTS,
+    AGENT_DEFAULTS,
+    loadCallFlows,
+    getCallFlowConfig,
+    getCallFlow,
+    getMenu,
+    resolveCallFlow,
+    getParticipantNumber,
+    getRingGroup,
+    getBridgeNumber
+};
@@ -0,0 +1,39 @@
+// G.711 codecs - the mu-law / A-law audio phone networks (and Twilio Media Streams) carry
+
+// 16-bit linear sample → mu-law byte
+function linearToMulaw(sample) {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// mu-law byte → 16-bit linear sample
+function mulawToLinear(byte) {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+    return value & 0x80 ? -magnitude : magnitude;
+}
+
+// A-law byte → 16-bit linear sample
+function alawToLinear(byte) {
+    const value = byte ^ 0x55;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+    return value & 0x80 ? magnitude : -magnitude;
+}
+
+module.exports = {
+    linearToMulaw,
+    mulawToLinear,
+    alawToLinear
+};
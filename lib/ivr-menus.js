@@ -0,0 +1,69 @@
+// IVR menus - optional DTMF front menu played before a conference flow connects
+//
+// Each option maps a key to a label, an optional intent for webhook payloads, and
+// optionally who to ring (ringGroup or participantNumber) instead of the flow's default.
+
+const MENU_DEFAULTS = {
+    prompt: null,
+    options: {},
+    defaultOption: null,            // Used after maxAttempts without a valid key (defaults to the first option)
+    timeout: 5,                     // Seconds to wait for a key press
+    maxAttempts: 3,
+    invalidMessage: 'Sorry, that is not a valid option.'
+};
+
+function normalizeMenu(name, settings, ringGroups) {
+    const menu = { ...MENU_DEFAULTS, ...settings, name };
+    const keys = Object.keys(menu.options);
+
+    if (!menu.prompt) {
+        throw new Error(`Menu "${name}" needs a prompt`);
+    }
+    if (keys.length === 0) {
+        throw new Error(`Menu "${name}" needs at least one option`);
+    }
+
+    for (const key of keys) {
+        if (!/^[0-9*#]$/.test(key)) {
+            throw new Error(`Menu "${name}" option "${key}" must be a single key (0-9, * or #)`);
+        }
+
+        const option = menu.options[key];
+        if (!option.label) {
+            throw new Error(`Menu "${name}" option "${key}" needs a label`);
+        }
+        if (option.ringGroup && !ringGroups[option.ringGroup]) {
+            throw new Error(`Menu "${name}" option "${key}" uses unknown ring group "${option.ringGroup}"`);
+        }
+    }
+
+    menu.defaultOption = menu.defaultOption || keys[0];
+    if (!menu.options[menu.defaultOption]) {
+        throw new Error(`Menu "${name}" default option "${menu.defaultOption}" is not defined`);
+    }
+
+    return menu;
+}
+
+// Turn the caller's key press into a selection record (null if the key isn't on the menu)
+function selectMenuOption(menu, digits) {
+    const option = digits ? menu.options[digits] : null;
+    if (!option) {
+        return null;
+    }
+
+    return {
+        menu: menu.name,
+        digit: digits,
+        label: option.label,
+        intent: option.intent || null,
+        ringGroup: option.ringGroup || null,
+        participantNumber: option.participantNumber || null
+    };
+}
+
+module.exports = {
+    MENU_DEFAULTS,
+    normalizeMenu,
+    selectMenuOption
+};
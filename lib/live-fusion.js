@@ -0,0 +1,144 @@
+// Live transcript fusion - combine the engines' final results for the same utterance
+//
+// Finals from every engine on one track are grouped by overlapping audio time. A group is fused
+// and emitted as soon as every active engine has covered it, or once the track has been quiet
+// for settleMs (maxWaitMs at most), so one slow engine can't hold the transcript up for long.
+
+const FUSION_DEFAULTS = {
+    settleMs: 1200,
+    maxWaitMs: 4000,
+    toleranceSeconds: 0.3           // Finals this close together count as the same utterance
+};
+
+// Sort by start time and merge finals whose audio overlaps into utterance groups
+function groupByOverlap(segments, toleranceSeconds) {
+    const groups = [];
+    const sorted = [...segments].sort((a, b) => a.start - b.start);
+
+    for (const segment of sorted) {
+        const current = groups[groups.length - 1];
+        if (current && segment.start <= current.end + toleranceSeconds) {
+            current.segments.push(segment);
+            current.end = Math.max(current.end, segment.end);
+        } else {
+            groups.push({ start: segment.start, end: segment.end, segments: [segment] });
+        }
+    }
+    return groups;
+}
+
+// One engine's share of an utterance: its finals joined in order, confidence weighted by duration
+function combineEngineSegments(engine, segments) {
+    const totalDuration = segments.reduce((sum, segment) => sum + Math.max(segment.end - segment.start, 0), 0);
+    const confidence = totalDuration > 0
+        ? segments.reduce((sum, segment) => sum + segment.confidence * Math.max(segment.end - segment.start, 0), 0) / totalDuration
+        : segments.reduce((sum, segment) => sum + segment.confidence, 0) / segments.length;
+
+    return {
+        service: engine,
+        text: segments.map(segment => segment.text.trim()).join(' '),
+        confidence,
+        start: segments[0].start,
+        end: Math.max(...segments.map(segment => segment.end)),
+        words: [].concat(...segments.map(segment => segment.words || []))
+    };
+}
+
+// fuse(parts) gets { engineName: combinedResult } and returns { text, confidence, source, services_used, words? }
+function createLiveFusion({ engines, fuse, onUtterance, label = 'fusion', settings = {} }) {
+    const options = { ...FUSION_DEFAULTS, ...settings };
+    const activeEngines = new Set(engines);
+
+    let pending = [];
+    let flushedUntil = 0;           // Audio time already covered by emitted utterances
+    let timer = null;
+
+    function emitGroup(group) {
+        const parts = {};
+        for (const engine of new Set(group.segments.map(segment => segment.engine))) {
+            parts[engine] = combineEngineSegments(engine, group.segments.filter(segment => segment.engine === engine));
+        }
+
+        const engineNames = Object.keys(parts);
+        const fused = engineNames.length > 1 ? fuse(parts) : null;
+        const primary = fused && fused.source && engineNames.find(engine => fused.source.includes(engine));
+        const only = parts[engineNames[0]];
+
+        flushedUntil = Math.max(flushedUntil, group.end);
+        onUtterance({
+            text: fused ? fused.text : only.text,
+            confidence: fused ? fused.confidence : only.confidence,
+            source: fused ? fused.source : `${engineNames[0]}_only`,
+            services_used: fused ? fused.services_used : engineNames,
+            start: group.start,
+            end: group.end,
+            words: fused ? fused.words || parts[primary || engineNames[0]].words : only.words,
+            individual_results: parts
+        });
+    }
+
+    // Emit groups every active engine has finished; with force, emit everything
+    function flush(force = false) {
+        const groups = groupByOverlap(pending, options.toleranceSeconds);
+        const remaining = [];
+
+        for (const group of groups) {
+            const complete = [...activeEngines].every(engine => group.segments.some(segment =>
+                segment.engine === engine && segment.end >= group.end - options.toleranceSeconds));
+
+            // Keep order: once a group has to wait, everything after it waits too
+            if ((force || complete) && remaining.length === 0) {
+                emitGroup(group);
+            } else {
+                remaining.push(...group.segments);
+            }
+        }
+
+        pending = remaining;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (pending.length > 0) {
+            const oldest = Math.min(...pending.map(segment => segment.receivedAt));
+            const waitMs = Math.max(0, Math.min(options.settleMs, oldest + options.maxWaitMs - Date.now()));
+            timer = setTimeout(() => flush(true), waitMs);
+        }
+    }
+
+    return {
+        // A final result from one engine: { text, confidence, start, end, words } in call-audio seconds
+        add(engine, segment) {
+            if (segment.end <= flushedUntil) {
+                console.log(`🔀 ${label}: late ${engine} final "${segment.text}" already covered - skipped`);
+                return;
+            }
+            pending.push({ ...segment, engine, receivedAt: Date.now() });
+            flush(activeEngines.size < 2);
+        },
+
+        // An engine dropped out (or came back) - stop waiting for it
+        setEngineActive(engine, active) {
+            if (active) {
+                activeEngines.add(engine);
+            } else if (activeEngines.delete(engine)) {
+                console.log(`🔀 ${label}: ${engine} no longer live, not waiting for it`);
+                flush();
+            }
+        },
+
+        close() {
+            flush(true);
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    FUSION_DEFAULTS,
+    groupByOverlap,
+    createLiveFusion
+};
@@ -0,0 +1,69 @@
+// Twilio Media Streams helpers - which track is which speaker, and what the audio looks like
+//
+// The stream is started on the caller's leg with track="both_tracks", so:
+//   inbound  - audio from the caller
+//   outbound - audio Twilio plays to the caller, i.e. the conference participant(s)
+
+const TRACK_SPEAKERS = {
+    inbound: 'caller',
+    outbound: 'participant'
+};
+
+// Tracks named in the 'start' event (Twilio omits them for inbound-only streams)
+function getStreamTracks(start) {
+    const tracks = (start && Array.isArray(start.tracks) && start.tracks.length > 0) ? start.tracks : ['inbound'];
+    return tracks.filter(track => TRACK_SPEAKERS[track]);
+}
+
+function speakerForTrack(track) {
+    return TRACK_SPEAKERS[track] || null;
+}
+
+// Media Streams mediaFormat.encoding → recognizer encoding name and sample width
+const SUPPORTED_ENCODINGS = {
+    'audio/x-mulaw': { encoding: 'mulaw', bytesPerSample: 1 },
+    'audio/x-alaw': { encoding: 'alaw', bytesPerSample: 1 },
+    'audio/l16': { encoding: 'linear16', bytesPerSample: 2 },
+    'audio/x-l16': { encoding: 'linear16', bytesPerSample: 2 }
+};
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000, 32000, 44100, 48000];
+const MAX_CHANNELS = 2;
+
+// Twilio's documented stream format, used only when the start event leaves it out
+const DEFAULT_MEDIA_FORMAT = { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 };
+
+// Turn the start event's mediaFormat into the audio format recognizers are opened with.
+// Throws for anything we can't describe exactly - better than letting the provider guess.
+function negotiateAudioFormat(mediaFormat) {
+    const format = mediaFormat || DEFAULT_MEDIA_FORMAT;
+    const encoding = SUPPORTED_ENCODINGS[String(format.encoding).toLowerCase()];
+    const sampleRate = parseInt(format.sampleRate, 10);
+    const channels = parseInt(format.channels, 10) || 1;
+
+    if (!encoding) {
+        throw new Error(`Unsupported stream encoding "${format.encoding}" (supported: ${Object.keys(SUPPORTED_ENCODINGS).join(', ')})`);
+    }
+    if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate)) {
+        throw new Error(`Unsupported stream sample rate "${format.sampleRate}" (supported: ${SUPPORTED_SAMPLE_RATES.join(', ')})`);
+    }
+    if (channels < 1 || channels > MAX_CHANNELS) {
+        throw new Error(`Unsupported stream channel count "${format.channels}" (supported: 1-${MAX_CHANNELS})`);
+    }
+
+    return {
+        mimeType: String(format.encoding).toLowerCase(),
+        encoding: encoding.encoding,
+        bytesPerSample: encoding.bytesPerSample,
+        sampleRate,
+        channels
+    };
+}
+
+module.exports = {
+    TRACK_SPEAKERS,
+    SUPPORTED_ENCODINGS,
+    SUPPORTED_SAMPLE_RATES,
+    getStreamTracks,
+    speakerForTrack,
+    negotiateAudioFormat
+};
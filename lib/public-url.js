@@ -0,0 +1,50 @@
+// Public base URL resolution - the one place callback, stream and dial-back URLs come from
+//
+// Order: PUBLIC_BASE_URL, then RAILWAY_PUBLIC_DOMAIN (https), then the incoming request
+// (req.protocol honours X-Forwarded-Proto once Express 'trust proxy' is set).
+
+// Validate and normalise a configured base URL ("https://example.com/agent/" → "https://example.com/agent")
+function normalizeBaseUrl(value) {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Public base URL must be http(s), got "${value}"`);
+    }
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+function getConfiguredBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) {
+        return normalizeBaseUrl(process.env.PUBLIC_BASE_URL);
+    }
+    if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+        return normalizeBaseUrl(`https://${process.env.RAILWAY_PUBLIC_DOMAIN}`);
+    }
+    return null;
+}
+
+// Base URL Twilio should use to reach this server for the given request
+function getPublicBaseUrl(req) {
+    return getConfiguredBaseUrl() || `${req.protocol}://${req.get('host')}`;
+}
+
+// Same base URL with ws:// or wss:// for Media Streams
+function toWebSocketUrl(baseUrl) {
+    return baseUrl.replace(/^http/, 'ws');
+}
+
+// TRUST_PROXY → Express 'trust proxy' setting ("true", hop count, or IP/subnet list). Defaults to one hop.
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') return 1;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+}
+
+module.exports = {
+    normalizeBaseUrl,
+    getConfiguredBaseUrl,
+    getPublicBaseUrl,
+    toWebSocketUrl,
+    parseTrustProxy
+};
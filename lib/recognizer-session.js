@@ -0,0 +1,257 @@
+// Recognizer session - a live Deepgram connection that survives provider hiccups
+//
+// While the connection is down, audio is buffered (up to maxBufferSeconds). The session
+// reconnects with exponential backoff and replays the buffer. Each new connection's timestamps
+// start at zero again, so results are shifted onto the call's audio timeline before they are
+// emitted. Audio that overflowed the buffer is reported as one gap once the outage ends.
+//
+// Events: 'transcript' (shifted Deepgram result), 'speech_started' / 'utterance_end' (shifted
+// VAD events), 'disconnected', 'reconnected', 'gap', 'failed' (gave up reconnecting),
+// 'close' (session finished).
+const { EventEmitter } = require('events');
+const { LiveTranscriptionEvents } = require('@deepgram/sdk');
+
+const RECONNECT_DEFAULTS = {
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    maxAttempts: 10,                // Consecutive failed attempts before giving up
+    maxBufferSeconds: 30            // Audio kept for replay while disconnected; older audio is dropped
+};
+
+// Copy of a Deepgram result with every timestamp moved by offsetSeconds
+function shiftResultTimestamps(data, offsetSeconds) {
+    if (!offsetSeconds) {
+        return data;
+    }
+
+    const shifted = { ...data };
+    if (typeof data.start === 'number') {
+        shifted.start = data.start + offsetSeconds;
+    }
+    if (data.channel && data.channel.alternatives) {
+        shifted.channel = {
+            ...data.channel,
+            alternatives: data.channel.alternatives.map(alternative => ({
+                ...alternative,
+                words: (alternative.words || []).map(word => ({
+                    ...word,
+                    start: word.start + offsetSeconds,
+                    end: word.end + offsetSeconds
+                }))
+            }))
+        };
+    }
+    return shifted;
+}
+
+// connect() must return a new Deepgram live connection each time it is called
+function createRecognizerSession({ connect, audioFormat, label = 'recognizer', reconnect = {} }) {
+    const settings = { ...RECONNECT_DEFAULTS, ...reconnect };
+    const bytesPerSecond = audioFormat.sampleRate * audioFormat.channels * audioFormat.bytesPerSample;
+    const maxBufferBytes = settings.maxBufferSeconds * bytesPerSecond;
+    const session = new EventEmitter();
+
+    let connection = null;
+    let connectionOffsetBytes = 0;  // Call-audio position of the first byte the current connection got
+    let receivedBytes = 0;          // Call-audio position of the next byte from Twilio
+    let buffer = [];
+    let bufferBytes = 0;
+    let bufferStartBytes = 0;       // Call-audio position of buffer[0]
+    let droppedBytes = 0;           // Audio lost to buffer overflow during the current outage
+    let attempts = 0;
+    let disconnectedAt = null;
+    let reconnectTimer = null;
+    let closing = false;
+
+    session.label = label;
+    session.connected = false;
+    session.reconnects = 0;
+
+    const toSeconds = bytes => bytes / bytesPerSecond;
+
+    function open() {
+        const current = connect();
+        connection = current;
+
+        current.on(LiveTranscriptionEvents.Open, () => {
+            if (current !== connection) {
+                return;
+            }
+
+            // The replayed buffer is the first audio this connection hears
+            connectionOffsetBytes = bufferBytes > 0 ? bufferStartBytes : receivedBytes;
+            session.connected = true;
+
+            if (disconnectedAt) {
+                reportGap();
+                const replayedSeconds = toSeconds(bufferBytes);
+                session.reconnects++;
+                console.log(`🔁 ${label}: reconnected after ${attempts} attempt(s), replaying ${replayedSeconds.toFixed(1)}s of audio`);
+                session.emit('reconnected', {
+                    attempts,
+                    downtimeMs: Date.now() - disconnectedAt,
+                    replayedSeconds,
+                    offsetSeconds: toSeconds(connectionOffsetBytes)
+                });
+            }
+
+            for (const chunk of buffer) {
+                current.send(chunk);
+            }
+            buffer = [];
+            bufferBytes = 0;
+            attempts = 0;
+            disconnectedAt = null;
+        });
+
+        current.on(LiveTranscriptionEvents.Transcript, (data) => {
+            if (current === connection) {
+                session.emit('transcript', shiftResultTimestamps(data, toSeconds(connectionOffsetBytes)));
+            }
+        });
+
+        current.on(LiveTranscriptionEvents.SpeechStarted, (data) => {
+            if (current === connection) {
+                session.emit('speech_started', { ...data, timestamp: data.timestamp + toSeconds(connectionOffsetBytes) });
+            }
+        });
+
+        current.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
+            if (current === connection) {
+                session.emit('utterance_end', { ...data, last_word_end: data.last_word_end + toSeconds(connectionOffsetBytes) });
+            }
+        });
+
+        current.on(LiveTranscriptionEvents.Error, (error) => {
+            console.error(`❌ ${label}: connection error:`, error && error.message ? error.message : error);
+            connectionLost(current, error);
+        });
+
+        current.on(LiveTranscriptionEvents.Close, () => {
+            connectionLost(current, null);
+        });
+    }
+
+    function connectionLost(lost, error) {
+        if (lost !== connection) {
+            return;
+        }
+        connection = null;
+        session.connected = false;
+
+        if (closing) {
+            session.emit('close');
+            return;
+        }
+
+        if (!disconnectedAt) {
+            disconnectedAt = Date.now();
+            // Audio may already be waiting if the very first connection never opened
+            if (bufferBytes === 0) {
+                bufferStartBytes = receivedBytes;
+            }
+        }
+
+        attempts++;
+        if (attempts > settings.maxAttempts) {
+            console.error(`❌ ${label}: giving up after ${settings.maxAttempts} reconnect attempts`);
+            droppedBytes += bufferBytes;
+            bufferStartBytes += bufferBytes;
+            reportGap();
+            session.emit('failed', { attempts: settings.maxAttempts, error: error ? error.message || String(error) : null });
+            closing = true;
+            session.emit('close');
+            return;
+        }
+
+        const delayMs = Math.min(settings.initialDelayMs * Math.pow(2, attempts - 1), settings.maxDelayMs);
+        console.log(`🔌 ${label}: connection lost, reconnecting in ${delayMs}ms (attempt ${attempts}/${settings.maxAttempts})`);
+        session.emit('disconnected', {
+            attempt: attempts,
+            delayMs,
+            atSeconds: toSeconds(receivedBytes),
+            error: error ? error.message || String(error) : null
+        });
+
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (!closing) {
+                open();
+            }
+        }, delayMs);
+    }
+
+    // Keep audio for replay, dropping the oldest chunks once the buffer is full
+    function bufferAudio(chunk) {
+        buffer.push(chunk);
+        bufferBytes += chunk.length;
+
+        while (bufferBytes > maxBufferBytes && buffer.length > 1) {
+            const dropped = buffer.shift();
+            bufferBytes -= dropped.length;
+            bufferStartBytes += dropped.length;
+            droppedBytes += dropped.length;
+        }
+    }
+
+    // Overflowed audio sits right before whatever is still buffered
+    function reportGap() {
+        if (droppedBytes === 0) {
+            return;
+        }
+        session.emit('gap', {
+            startSeconds: toSeconds(bufferStartBytes - droppedBytes),
+            endSeconds: toSeconds(bufferStartBytes),
+            durationSeconds: toSeconds(droppedBytes)
+        });
+        droppedBytes = 0;
+    }
+
+    session.send = (chunk) => {
+        if (closing) {
+            return;
+        }
+
+        if (session.connected && connection) {
+            connection.send(chunk);
+        } else {
+            bufferAudio(chunk);
+        }
+        receivedBytes += chunk.length;
+    };
+
+    // Finish the session - lets the provider flush final results before closing
+    session.close = () => {
+        if (closing) {
+            return;
+        }
+        closing = true;
+        buffer = [];
+        bufferBytes = 0;
+
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+
+        if (connection && session.connected) {
+            connection.requestClose();
+        } else {
+            // Still connecting (or between attempts) - nothing to flush
+            if (connection) {
+                connection.disconnect();
+                connection = null;
+            }
+            session.emit('close');
+        }
+    };
+
+    open();
+    return session;
+}
+
+module.exports = {
+    RECONNECT_DEFAULTS,
+    shiftResultTimestamps,
+    createRecognizerSession
+};
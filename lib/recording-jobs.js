@@ -0,0 +1,240 @@
+// Recording jobs - post-call transcription queued by RecordingSid and kept on disk
+//
+// Every way a recording turns up (status callback, call-completed check, force check) enqueues
+// a job under the same id, so a recording is only transcribed once. Jobs run a few at a time,
+// failed attempts are retried with exponential backoff, and the queue is saved to a JSON file
+// shortly after every change, so jobs that were queued or running when the process died resume
+// on start. Saves are written in the background and changes close together share one write, so
+// a busy queue doesn't hold up the live streams.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_JOBS_FILE = path.join(__dirname, '..', 'data', 'recording-jobs.json');
+
+const JOB_DEFAULTS = {
+    concurrency: 2,
+    maxAttempts: 5,
+    baseDelayMs: 5000,              // Retry after 5s, 10s, 20s, ... (capped at maxDelayMs)
+    maxDelayMs: 5 * 60 * 1000,
+    saveDelayMs: 200,               // Changes within this window are saved in one write
+    retentionMs: 7 * 24 * 60 * 60 * 1000    // Finished jobs are forgotten after a week
+};
+
+const STATUSES = ['queued', 'running', 'retrying', 'completed', 'failed'];
+const FINISHED = ['completed', 'failed'];
+
+// run(job) does the work; it resolves to a short result summary or throws to have the job retried
+function createRecordingJobQueue({ run, filePath = DEFAULT_JOBS_FILE, settings = {} }) {
+    const options = { ...JOB_DEFAULTS, ...settings };
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        console.warn(`⚠️ Recording job concurrency "${settings.concurrency}" isn't a positive whole number - using ${JOB_DEFAULTS.concurrency}`);
+        options.concurrency = JOB_DEFAULTS.concurrency;
+    }
+
+    const queue = new EventEmitter();
+    const jobs = new Map();
+    const timers = new Map();
+    let running = 0;
+    let saveTimer = null;
+    let saving = null;              // The write in progress, if any
+    let dirty = false;              // Changed since the last write started
+
+    // Mark the queue changed; it's written once the save delay has passed
+    function save() {
+        dirty = true;
+        if (!saveTimer && !saving) {
+            saveTimer = setTimeout(write, options.saveDelayMs);
+        }
+    }
+
+    async function write() {
+        saveTimer = null;
+        dirty = false;
+
+        const now = Date.now();
+        for (const [id, job] of jobs.entries()) {
+            if (FINISHED.includes(job.status) && now - new Date(job.updatedAt).getTime() > options.retentionMs) {
+                jobs.delete(id);
+            }
+        }
+
+        const tempPath = `${filePath}.tmp`;
+        saving = fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify([...jobs.values()], null, 2)))
+            .then(() => fs.promises.rename(tempPath, filePath))
+            .catch(error => console.error(`❌ Couldn't save recording jobs to ${filePath}:`, error.message));
+        await saving;
+        saving = null;
+
+        // Changes made while writing go out in the next write
+        if (dirty) {
+            saveTimer = setTimeout(write, options.saveDelayMs);
+        }
+    }
+
+    // Write any pending changes now (tests and shutdown)
+    async function flush() {
+        while (saveTimer || saving) {
+            if (saveTimer) {
+                clearTimeout(saveTimer);
+                await write();
+            } else {
+                await saving;
+            }
+        }
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        save();
+        queue.emit('job', { ...job });
+    }
+
+    // Start queued jobs that are due, up to the concurrency limit
+    function pump() {
+        const now = Date.now();
+        const due = [...jobs.values()]
+            .filter(job => job.status === 'queued' || (job.status === 'retrying' && new Date(job.nextAttemptAt).getTime() <= now))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const job of due) {
+            if (running >= options.concurrency) {
+                break;
+            }
+            execute(job);
+        }
+    }
+
+    async function execute(job) {
+        running++;
+        update(job, { status: 'running', attempts: job.attempts + 1, nextAttemptAt: null });
+        console.log(`🗂️ Recording job ${job.id} started (attempt ${job.attempts}/${options.maxAttempts})`);
+
+        try {
+            const result = await run({ ...job });
+            update(job, { status: 'completed', result: result || null, lastError: null });
+            console.log(`🗂️ Recording job ${job.id} completed`);
+        } catch (error) {
+            const message = error.message || String(error);
+            if (job.attempts >= options.maxAttempts) {
+                update(job, { status: 'failed', lastError: message });
+                console.error(`❌ Recording job ${job.id} failed after ${job.attempts} attempts: ${message}`);
+            } else {
+                const delayMs = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (job.attempts - 1));
+                update(job, { status: 'retrying', lastError: message, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+                console.log(`🔁 Recording job ${job.id} failed (${message}) - retrying in ${Math.round(delayMs / 1000)}s`);
+                schedule(job, delayMs);
+            }
+        } finally {
+            running--;
+            pump();
+        }
+    }
+
+    function schedule(job, delayMs) {
+        clearTimeout(timers.get(job.id));
+        timers.set(job.id, setTimeout(() => {
+            timers.delete(job.id);
+            pump();
+        }, Math.max(0, delayMs)));
+    }
+
+    // Jobs from the last run - anything that was running is started again
+    function load() {
+        let saved = [];
+        try {
+            saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ Couldn't read recording jobs from ${filePath}:`, error.message);
+            }
+        }
+
+        for (const job of saved) {
+            if (job.status === 'running') {
+                job.status = 'queued';
+            }
+            jobs.set(job.id, job);
+        }
+
+        const pending = saved.filter(job => !FINISHED.includes(job.status));
+        console.log(`🗂️ Recording jobs: ${saved.length} loaded from ${filePath} (${pending.length} to resume)`);
+        for (const job of pending.filter(job => job.status === 'retrying')) {
+            schedule(job, new Date(job.nextAttemptAt).getTime() - Date.now());
+        }
+        pump();
+    }
+
+    // Queue a recording. The same id is never queued twice - only a failed job is started again.
+    queue.enqueue = ({ id, kind = 'call', recordingUrl = null, callSid = null, meta = {} }) => {
+        if (!id) {
+            throw new Error('A recording job needs an id (RecordingSid)');
+        }
+
+        const existing = jobs.get(id);
+        if (existing && existing.status !== 'failed') {
+            console.log(`🗂️ Recording job ${id} already ${existing.status} - not queued again`);
+            return { job: { ...existing }, created: false };
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            kind,
+            recordingUrl,
+            callSid,
+            meta,
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: options.maxAttempts,
+            nextAttemptAt: null,
+            lastError: null,
+            result: null,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        jobs.set(id, job);
+        save();
+        queue.emit('job', { ...job });
+        console.log(`🗂️ Recording job ${id} queued (${kind}${existing ? ', retrying failed job' : ''})`);
+
+        pump();
+        return { job: { ...job }, created: true };
+    };
+
+    queue.get = id => (jobs.has(id) ? { ...jobs.get(id) } : null);
+
+    queue.list = ({ status = null } = {}) => [...jobs.values()]
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(job => ({ ...job }));
+
+    queue.stats = () => {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        for (const job of jobs.values()) {
+            counts[job.status]++;
+        }
+        return { ...counts, concurrency: options.concurrency };
+    };
+
+    // Stop retry timers and write what's pending, so nothing is left running
+    queue.stop = async () => {
+        for (const timer of timers.values()) {
+            clearTimeout(timer);
+        }
+        timers.clear();
+        await flush();
+    };
+
+    queue.flush = flush;
+    queue.start = load;
+    return queue;
+}
+
+module.exports = {
+    DEFAULT_JOBS_FILE,
+    JOB_DEFAULTS,
+    STATUSES,
+    createRecordingJobQueue
+};
@@ -0,0 +1,54 @@
+// Ring groups - which participant numbers to dial for a call, and in what order
+//
+// Strategies:
+//   simultaneous - ring every number at once, first to answer wins
+//   sequential   - hunt through the list in order, one leg at a time
+//   round-robin  - hunt like sequential, but each call starts one number further along
+
+const STRATEGIES = ['simultaneous', 'sequential', 'round-robin'];
+
+const RING_GROUP_DEFAULTS = {
+    strategy: 'sequential',
+    legTimeout: 20                  // Seconds each leg rings before Twilio gives up
+};
+
+// Next starting position per round-robin group
+const roundRobinCursors = new Map();
+
+function normalizeRingGroup(name, settings) {
+    const group = { ...RING_GROUP_DEFAULTS, ...settings, name };
+
+    if (!STRATEGIES.includes(group.strategy)) {
+        throw new Error(`Ring group "${name}" has invalid strategy "${group.strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    if (!Array.isArray(group.numbers) || group.numbers.length === 0) {
+        throw new Error(`Ring group "${name}" needs at least one number`);
+    }
+
+    return group;
+}
+
+// Numbers to dial for one call, in dialing order
+function createDialPlan(group) {
+    let numbers = [...group.numbers];
+
+    if (group.strategy === 'round-robin') {
+        const start = (roundRobinCursors.get(group.name) || 0) % numbers.length;
+        numbers = [...numbers.slice(start), ...numbers.slice(0, start)];
+        roundRobinCursors.set(group.name, start + 1);
+    }
+
+    return {
+        group: group.name,
+        strategy: group.strategy,
+        legTimeout: group.legTimeout,
+        numbers
+    };
+}
+
+module.exports = {
+    STRATEGIES,
+    RING_GROUP_DEFAULTS,
+    normalizeRingGroup,
+    createDialPlan
+};
@@ -0,0 +1,174 @@
+// Routing rules - business hours and holidays checked before an inbound call is connected
+//
+// The schedule is evaluated in the configured timezone. The call is in one of three states:
+// 'holiday', 'open' (inside today's hours) or 'closed'. The first rule whose `when` matches
+// picks the action:
+//   conference - connect normally (optionally with a different call flow)
+//   voicemail  - straight to the flow's voicemail step
+//   message    - play a message and hang up
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'routing-rules.json');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const VALID_CONDITIONS = ['holiday', 'open', 'closed', 'always'];
+const VALID_ACTIONS = ['conference', 'voicemail', 'message'];
+
+let routingConfig = null;
+
+// "09:30" → minutes after midnight
+function parseTime(value, context) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    if (!match) {
+        throw new Error(`${context} has invalid time "${value}" (expected HH:MM)`);
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+// Load and validate the rules file (ROUTING_RULES_CONFIG overrides the bundled one).
+// isKnownFlow lets the caller check rule flow names against the loaded call flows.
+function loadRoutingRules(configPath = process.env.ROUTING_RULES_CONFIG || DEFAULT_CONFIG_PATH, isKnownFlow = () => true) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const timezone = raw.timezone || 'UTC';
+
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Routing rules have invalid timezone "${timezone}"`);
+    }
+
+    const schedule = {};
+    for (const [day, ranges] of Object.entries(raw.schedule || {})) {
+        if (!DAYS.includes(day)) {
+            throw new Error(`Routing schedule has unknown day "${day}"`);
+        }
+        schedule[day] = ranges.map(range => ({
+            start: parseTime(range.start, `Routing schedule for ${day}`),
+            end: parseTime(range.end, `Routing schedule for ${day}`)
+        }));
+    }
+
+    const holidays = (raw.holidays || []).map(holiday => {
+        // "2026-12-25" is a one-off date, "12-25" repeats every year
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(holiday.date || '')) {
+            throw new Error(`Holiday "${holiday.name || holiday.date}" has invalid date "${holiday.date}" (expected YYYY-MM-DD or MM-DD)`);
+        }
+        return { date: holiday.date, name: holiday.name || holiday.date };
+    });
+
+    const rules = (raw.rules || []).map((rule, index) => {
+        const name = rule.name || `rule-${index + 1}`;
+        const normalized = { flow: null, message: null, ...rule, name };
+
+        if (!VALID_CONDITIONS.includes(normalized.when)) {
+            throw new Error(`Routing rule "${name}" has invalid condition "${normalized.when}" (expected ${VALID_CONDITIONS.join(', ')})`);
+        }
+        if (!VALID_ACTIONS.includes(normalized.action)) {
+            throw new Error(`Routing rule "${name}" has invalid action "${normalized.action}" (expected ${VALID_ACTIONS.join(', ')})`);
+        }
+        if (normalized.action === 'message' && !normalized.message) {
+            throw new Error(`Routing rule "${name}" needs a message`);
+        }
+        if (normalized.flow && !isKnownFlow(normalized.flow)) {
+            throw new Error(`Routing rule "${name}" uses unknown call flow "${normalized.flow}"`);
+        }
+        return normalized;
+    });
+
+    routingConfig = {
+        enabled: raw.enabled !== false,
+        timezone,
+        schedule,
+        holidays,
+        rules
+    };
+
+    console.log(`🕘 Loaded ${rules.length} routing rules from ${configPath} (${timezone}, ${routingConfig.enabled ? 'enabled' : 'disabled'})`);
+    return routingConfig;
+}
+
+function getRoutingRules() {
+    return routingConfig || loadRoutingRules();
+}
+
+// Wall-clock fields for a moment in the schedule's timezone
+function getLocalTime(timezone, now) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(now)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+function isOpen(schedule, day, minutes) {
+    return (schedule[day] || []).some(range => range.end > range.start
+        ? minutes >= range.start && minutes < range.end
+        // Range past midnight ("22:00"-"06:00") - the early hours count for the day it started
+        : minutes >= range.start);
+}
+
+// Open hours that started the previous evening and run past midnight
+function isOpenOvernight(schedule, day, minutes) {
+    const previousDay = DAYS[(DAYS.indexOf(day) + 6) % DAYS.length];
+    return (schedule[previousDay] || []).some(range => range.end <= range.start && minutes < range.end);
+}
+
+// Pick the rule for a call at clock() - inject a fake clock to check the rules at a fixed time.
+// Returns null when routing is disabled or no rule matches (connect as usual).
+function evaluateRoutingRules(config, { clock = () => new Date() } = {}) {
+    if (!config.enabled) {
+        return null;
+    }
+
+    const now = clock();
+    const local = getLocalTime(config.timezone, now);
+    const holiday = config.holidays.find(entry => entry.date === local.date || entry.date === local.date.slice(5));
+
+    let state = 'closed';
+    if (holiday) {
+        state = 'holiday';
+    } else if (isOpen(config.schedule, local.day, local.minutes) || isOpenOvernight(config.schedule, local.day, local.minutes)) {
+        state = 'open';
+    }
+
+    const rule = config.rules.find(entry => entry.when === state || entry.when === 'always');
+    if (!rule) {
+        return null;
+    }
+
+    return {
+        rule: rule.name,
+        action: rule.action,
+        flow: rule.flow,
+        message: rule.message,
+        state,
+        holiday: holiday ? holiday.name : null,
+        timezone: config.timezone,
+        localTime: `${local.day} ${local.date} ${local.time}`,
+        evaluatedAt: now.toISOString()
+    };
+}
+
+module.exports = {
+    DAYS,
+    loadRoutingRules,
+    getRoutingRules,
+    evaluateRoutingRules
+};
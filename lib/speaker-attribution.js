@@ -0,0 +1,125 @@
+// Speaker attribution - who said what in a post-call transcript
+//
+// Engines diarize a recording into anonymous speakers ("0", "A"). When the live stream heard the
+// same call, its caller / participant tracks say who each one is: every diarized speaker becomes
+// the live speaker it overlaps most in time. Speakers that can't be matched keep their label.
+
+const ROLES = ['caller', 'participant'];
+
+function overlapSeconds(a, b) {
+    return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// { label: role } from live segments ([{ speaker, start, end }], already in recording time).
+// Pairs are taken largest overlap first, so two diarized speakers never get the same role.
+function mapSpeakersByOverlap(utterances, liveSegments) {
+    const evidence = new Map();
+    for (const utterance of utterances) {
+        for (const segment of liveSegments) {
+            const seconds = overlapSeconds(utterance, segment);
+            if (seconds > 0 && ROLES.includes(segment.speaker)) {
+                const key = `${utterance.speaker}|${segment.speaker}`;
+                evidence.set(key, (evidence.get(key) || 0) + seconds);
+            }
+        }
+    }
+
+    const mapping = {};
+    const taken = new Set();
+    const pairs = [...evidence.entries()].sort((a, b) => b[1] - a[1]);
+    for (const [key] of pairs) {
+        const [label, role] = key.split('|');
+        if (!(label in mapping) && !taken.has(role)) {
+            mapping[label] = role;
+            taken.add(role);
+        }
+    }
+    return mapping;
+}
+
+// Diarized utterances → [{ speaker, speaker_label, start, end, text, confidence }] and how the
+// speakers were worked out: 'live_stream', 'single_speaker' or 'diarization' (labels only)
+function attributeSpeakers(utterances, { liveSegments = [], singleSpeaker = null } = {}) {
+    const labels = [...new Set(utterances.map(utterance => String(utterance.speaker)))];
+    let mapping = {};
+    let method = 'diarization';
+
+    if (labels.length === 1 && singleSpeaker) {
+        mapping = { [labels[0]]: singleSpeaker };
+        method = 'single_speaker';
+    } else if (liveSegments.length > 0) {
+        mapping = mapSpeakersByOverlap(utterances.map(utterance => ({ ...utterance, speaker: String(utterance.speaker) })), liveSegments);
+
+        // Two speakers and only one matched - the other one is whoever is left
+        const unmapped = labels.filter(label => !(label in mapping));
+        const freeRoles = ROLES.filter(role => !Object.values(mapping).includes(role));
+        if (labels.length === ROLES.length && unmapped.length === 1 && freeRoles.length === 1) {
+            mapping[unmapped[0]] = freeRoles[0];
+        }
+        if (Object.keys(mapping).length > 0) {
+            method = 'live_stream';
+        }
+    }
+
+    return {
+        method,
+        utterances: utterances.map(utterance => ({
+            speaker: mapping[String(utterance.speaker)] || `speaker_${utterance.speaker}`,
+            speaker_label: String(utterance.speaker),
+            start: utterance.start,
+            end: utterance.end,
+            text: utterance.text,
+            confidence: utterance.confidence
+        }))
+    };
+}
+
+// "Caller: ...\nParticipant (+44...): ..." - consecutive lines from the same speaker are joined
+function formatConversation(utterances) {
+    const lines = [];
+    for (const utterance of utterances) {
+        const last = lines[lines.length - 1];
+        if (last && last.speaker === utterance.speaker && last.phone === (utterance.phone || null)) {
+            last.text += ` ${utterance.text}`;
+        } else {
+            lines.push({ speaker: utterance.speaker, phone: utterance.phone || null, text: utterance.text });
+        }
+    }
+
+    const name = ({ speaker, phone }) => speaker.charAt(0).toUpperCase() + speaker.slice(1).replace(/_/g, ' ') + (phone ? ` (${phone})` : '');
+    return lines.map(line => `${name(line)}: ${line.text}`).join('\n');
+}
+
+// Transcribed leg recordings ([{ recordingSid, startedAt, channels }], each channel with its own
+// lines) → { channels, utterances } on one timeline, in seconds from the first recording's start.
+// Every line is tagged with its channel's speaker and phone number.
+function mergeChannels(recordings) {
+    const firstStart = Math.min(...recordings.map(recording => new Date(recording.startedAt).getTime()));
+    const round = seconds => Math.round(seconds * 1000) / 1000;
+    const channels = [];
+    const utterances = [];
+    for (const recording of recordings) {
+        const offsetSeconds = (new Date(recording.startedAt).getTime() - firstStart) / 1000;
+        for (const { lines, ...channel } of recording.channels) {
+            channels.push({ ...channel, recordingSid: recording.recordingSid, offset: offsetSeconds });
+            utterances.push(...lines.map(line => ({
+                speaker: channel.speaker,
+                speaker_label: `channel_${channel.channel + 1}`,
+                phone: channel.phone,
+                start: round(line.start + offsetSeconds),
+                end: round(line.end + offsetSeconds),
+                text: line.text,
+                confidence: line.confidence
+            })));
+        }
+    }
+    utterances.sort((a, b) => a.start - b.start);
+    return { channels, utterances };
+}
+
+module.exports = {
+    mapSpeakersByOverlap,
+    attributeSpeakers,
+    formatConversation,
+    mergeChannels
+};
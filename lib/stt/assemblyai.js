@@ -0,0 +1,220 @@
+// AssemblyAI speech-to-text provider - real-time streaming and async transcription
+//
+// Real-time takes mu-law or 16-bit PCM, mono, in 50-1000ms chunks, so Twilio's 20ms frames
+// are batched into ~100ms chunks and held until the session has started.
+const { EventEmitter } = require('events');
+const { AssemblyAI } = require('assemblyai');
+
+const CHUNK_MS = 100;
+const MIN_CHUNK_MS = 50;
+const MAX_PENDING_SECONDS = 30;     // Audio held while the session starts; older audio is dropped
+
+const DEFAULT_KEYWORDS = ['meeting', 'schedule', 'business', 'call', 'appointment', 'price', 'cost', 'service'];
+
+// AssemblyAI encoding for a negotiated stream format (null if it can't take that audio)
+function assemblyAIEncodingFor(audioFormat) {
+    if (audioFormat.channels !== 1) {
+        return null;
+    }
+    if (audioFormat.encoding === 'mulaw') {
+        return 'pcm_mulaw';
+    }
+    if (audioFormat.encoding === 'linear16') {
+        return 'pcm_s16le';
+    }
+    return null;
+}
+
+function createAssemblyAIStream({ client, audioFormat, label = 'AssemblyAI', wordBoost = [], endUtteranceSilenceThreshold }) {
+    const stream = new EventEmitter();
+    const bytesPerSecond = audioFormat.sampleRate * audioFormat.channels * audioFormat.bytesPerSample;
+    const chunkBytes = Math.round(bytesPerSecond * CHUNK_MS / 1000);
+    const minChunkBytes = Math.round(bytesPerSecond * MIN_CHUNK_MS / 1000);
+
+    let pending = [];               // Frames waiting to make up a full chunk (or for the session to open)
+    let pendingBytes = 0;
+    let closed = false;
+    let ended = false;              // 'close' already emitted
+
+    stream.label = label;
+    stream.connected = false;
+
+    const transcriber = client.realtime.transcriber({
+        sampleRate: audioFormat.sampleRate,
+        encoding: assemblyAIEncodingFor(audioFormat),
+        wordBoost,
+        endUtteranceSilenceThreshold
+    });
+
+    transcriber.on('open', ({ sessionId }) => {
+        console.log(`✅ ${label}: real-time session ${sessionId} started`);
+        stream.connected = true;
+        sendChunks();
+    });
+
+    // Timings come back in ms from the start of the audio we sent - seconds like Deepgram
+    transcriber.on('transcript.final', (transcript) => {
+        if (!transcript.text || transcript.text.trim().length === 0) {
+            return;
+        }
+        stream.emit('final', {
+            text: transcript.text,
+            confidence: transcript.confidence,
+            start: transcript.audio_start / 1000,
+            end: transcript.audio_end / 1000,
+            words: (transcript.words || []).map(word => ({
+                word: word.text,
+                start: word.start / 1000,
+                end: word.end / 1000,
+                confidence: word.confidence
+            }))
+        });
+    });
+
+    transcriber.on('error', (error) => {
+        console.error(`❌ ${label}: real-time error:`, error.message || error);
+        stream.emit('error', error);
+    });
+
+    transcriber.on('close', (code, reason) => {
+        console.log(`🔒 ${label}: real-time session closed (${code}${reason ? ` ${reason}` : ''})`);
+        finish();
+    });
+
+    // A session that never started is over too - listeners stop waiting for this engine
+    transcriber.connect().catch(error => {
+        console.error(`❌ ${label}: could not start real-time session:`, error.message || error);
+        stream.emit('error', error);
+        finish();
+    });
+
+    // 'close' goes out once, however the session ended
+    function finish() {
+        stream.connected = false;
+        closed = true;
+        if (!ended) {
+            ended = true;
+            stream.emit('close');
+        }
+    }
+
+    // Send every full chunk (and, when forced, a final short one of at least MIN_CHUNK_MS)
+    function sendChunks(force = false) {
+        const minimum = force ? minChunkBytes : chunkBytes;
+        if (!stream.connected || pendingBytes < minimum) {
+            return;
+        }
+
+        const audio = Buffer.concat(pending);
+        let offset = 0;
+        while (audio.length - offset >= minimum) {
+            const chunk = audio.subarray(offset, offset + chunkBytes);
+            offset += chunk.length;
+            transcriber.sendAudio(chunk);
+        }
+
+        const rest = audio.subarray(offset);
+        pending = rest.length > 0 ? [rest] : [];
+        pendingBytes = rest.length;
+    }
+
+    stream.send = (frame) => {
+        if (closed) {
+            return;
+        }
+        pending.push(frame);
+        pendingBytes += frame.length;
+
+        while (pendingBytes > MAX_PENDING_SECONDS * bytesPerSecond && pending.length > 1) {
+            pendingBytes -= pending.shift().length;
+        }
+        sendChunks();
+    };
+
+    // Flush what's left and let AssemblyAI send its last finals before closing
+    stream.close = () => {
+        if (closed) {
+            return;
+        }
+        sendChunks(true);
+        closed = true;
+        transcriber.close(true).catch(error => {
+            console.error(`❌ ${label}: close failed:`, error.message || error);
+        });
+    };
+
+    return stream;
+}
+
+function createAssemblyAIProvider({ apiKey, languageCode = 'en_uk', keywords = DEFAULT_KEYWORDS } = {}) {
+    if (!apiKey) {
+        throw new Error('AssemblyAI provider needs an API key (ASSEMBLYAI_API_KEY)');
+    }
+
+    console.log('🔧 Initializing AssemblyAI client...');
+    const client = new AssemblyAI({ apiKey });
+    console.log('✅ AssemblyAI client initialized');
+
+    // AssemblyAI fetches the audio itself, so the URL has to be reachable without credentials
+    async function transcribeAudioUrl(audioUrl) {
+        const transcript = await client.transcripts.transcribe({
+            audio_url: audioUrl,
+            language_code: languageCode,
+            punctuate: true,
+            format_text: true,
+            speaker_labels: true,
+            boost_param: 'high',
+            word_boost: keywords,
+            auto_highlights: true
+        });
+
+        if (transcript.status === 'error') {
+            throw new Error(`AssemblyAI transcription failed: ${transcript.error}`);
+        }
+
+        // Timings come back in ms - seconds like every other provider
+        return {
+            service: 'assemblyai',
+            text: transcript.text,
+            confidence: transcript.confidence,
+            words: (transcript.words || []).map(word => ({
+                word: word.text,
+                start: word.start / 1000,
+                end: word.end / 1000,
+                confidence: word.confidence
+            })),
+            utterances: (transcript.utterances || []).map(utterance => ({
+                speaker: utterance.speaker,
+                text: utterance.text,
+                start: utterance.start / 1000,
+                end: utterance.end / 1000,
+                confidence: utterance.confidence
+            }))
+        };
+    }
+
+    return {
+        name: 'assemblyai',
+
+        supportsAudioFormat: audioFormat => !!assemblyAIEncodingFor(audioFormat),
+
+        createLiveStream({ audioFormat, label = 'AssemblyAI', keywords: streamKeywords = keywords, endpointingMs }) {
+            return createAssemblyAIStream({ client, audioFormat, label, wordBoost: streamKeywords, endUtteranceSilenceThreshold: endpointingMs });
+        },
+
+        transcribeUrl: transcribeAudioUrl,
+
+        // Recordings behind credentials (Twilio's) are downloaded by us and uploaded here first
+        async transcribeFile(audio) {
+            const uploadUrl = await client.files.upload(audio);
+            console.log(`⬆️ Uploaded ${audio.length} bytes to AssemblyAI`);
+            return transcribeAudioUrl(uploadUrl);
+        }
+    };
+}
+
+module.exports = {
+    assemblyAIEncodingFor,
+    createAssemblyAIStream,
+    createAssemblyAIProvider
+};
@@ -0,0 +1,135 @@
+// Deepgram speech-to-text provider - nova-2 live streaming and pre-recorded transcription
+//
+// Live streams run on a recognizer session, so they reconnect and replay buffered audio on
+// their own; results are already on the stream's audio timeline when they get here.
+const { EventEmitter } = require('events');
+const { createClient } = require('@deepgram/sdk');
+const { createRecognizerSession } = require('../recognizer-session');
+
+const DEFAULT_KEYWORDS = ['meeting', 'schedule', 'business', 'call', 'appointment', 'price', 'cost', 'service'];
+
+// Deepgram words → the shape every provider shares
+function toWords(words) {
+    return (words || []).map(word => ({
+        word: word.punctuated_word || word.word,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence
+    }));
+}
+
+function createDeepgramProvider({ apiKey, model = 'nova-2', language = 'en-GB', keywords = DEFAULT_KEYWORDS } = {}) {
+    if (!apiKey) {
+        throw new Error('Deepgram provider needs an API key (DEEPGRAM_API_KEY)');
+    }
+
+    console.log('🔧 Initializing Deepgram client...');
+    const client = createClient(apiKey);
+    console.log('✅ Deepgram client initialized');
+
+    return {
+        name: 'deepgram',
+
+        // Every format the Media Streams negotiation accepts (mulaw, alaw, linear16; 1-2 channels)
+        supportsAudioFormat: () => true,
+
+        createLiveStream({ audioFormat, label = 'Deepgram', keywords: streamKeywords = keywords, endpointingMs = 300, utteranceEndMs = 1000 }) {
+            const stream = new EventEmitter();
+            const liveOptions = {
+                encoding: audioFormat.encoding,
+                sample_rate: audioFormat.sampleRate,
+                channels: audioFormat.channels,
+                multichannel: audioFormat.channels > 1,
+                model,
+                language,                   // UK English for better accent recognition
+                smart_format: true,
+                punctuate: true,
+                profanity_filter: false,
+                redact: false,
+                interim_results: true,
+                endpointing: endpointingMs,
+                utterance_end_ms: Math.max(utteranceEndMs, 1000),   // Deepgram's minimum
+                vad_events: true,           // SpeechStarted events
+                keywords: streamKeywords,
+                keyword_boost: 'medium'
+            };
+
+            const session = createRecognizerSession({
+                label,
+                audioFormat,
+                connect: () => client.listen.live(liveOptions)
+            });
+
+            session.on('transcript', (data) => {
+                const alternative = data.channel && data.channel.alternatives && data.channel.alternatives[0];
+                if (!alternative || !alternative.transcript || alternative.transcript.trim().length === 0) {
+                    return;
+                }
+                stream.emit(data.is_final ? 'final' : 'interim', {
+                    text: alternative.transcript,
+                    confidence: alternative.confidence,
+                    start: data.start,
+                    end: data.start + data.duration,
+                    words: toWords(alternative.words)
+                });
+            });
+
+            session.on('speech_started', data => stream.emit('speech_started', { start: data.timestamp }));
+            session.on('utterance_end', data => stream.emit('utterance_end', { end: data.last_word_end }));
+
+            for (const event of ['disconnected', 'reconnected', 'gap', 'failed', 'close']) {
+                session.on(event, info => stream.emit(event, info));
+            }
+
+            stream.label = label;
+            stream.send = frame => session.send(frame);
+            stream.close = () => session.close();
+            return stream;
+        },
+
+        async transcribeFile(audio) {
+            const { result, error } = await client.listen.prerecorded.transcribeFile(audio, {
+                model,
+                language,
+                smart_format: true,
+                punctuate: true,
+                diarize: true,
+                utterances: true,
+                detect_language: false,
+                keywords,
+                keyword_boost: 'medium'
+            });
+
+            if (error) {
+                throw error;
+            }
+            if (!result || !result.results || !result.results.channels) {
+                throw new Error('Invalid Deepgram response structure');
+            }
+
+            const channel = result.results.channels[0];
+            if (!channel || !channel.alternatives || channel.alternatives.length === 0) {
+                throw new Error('No transcription alternatives found');
+            }
+
+            const alternative = channel.alternatives[0];
+            return {
+                service: 'deepgram',
+                text: alternative.transcript,
+                confidence: alternative.confidence,
+                words: toWords(alternative.words),
+                utterances: (result.results.utterances || []).map(utterance => ({
+                    speaker: String(utterance.speaker),
+                    text: utterance.transcript,
+                    start: utterance.start,
+                    end: utterance.end,
+                    confidence: utterance.confidence
+                }))
+            };
+        }
+    };
+}
+
+module.exports = {
+    createDeepgramProvider
+};
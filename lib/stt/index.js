@@ -0,0 +1,81 @@
+// Speech-to-text providers - one interface for every engine, live and post-call
+//
+// A provider is what a registered factory returns for its options:
+//   name                            - registry name, also the `service` on its results
+//   supportsAudioFormat(format)     - can it take this negotiated Media Streams format live?
+//   createLiveStream({ audioFormat, label, keywords, endpointingMs, utteranceEndMs })
+//                                   - live recognizer (live providers; timing options are hints)
+//   transcribeFile(audio) / transcribeUrl(url)            - a recording (post-call providers)
+//
+// Live streams are EventEmitters with send(frame) and close(). They emit:
+//   'interim' / 'final'   { text, confidence, start, end, words: [{ word, start, end, confidence }] }
+//   'speech_started' { start }, 'utterance_end' { end }, 'error', 'close'
+//   'disconnected' / 'reconnected' / 'gap' / 'failed' (providers that reconnect on their own)
+// Times are seconds from the first audio sent to the stream.
+//
+// Recordings resolve to { service, text, confidence, words, utterances: [{ speaker, text, start, end, confidence }] }.
+const { createDeepgramProvider } = require('./deepgram');
+const { createAssemblyAIProvider } = require('./assemblyai');
+const { createOfflineProvider } = require('./offline');
+
+const factories = new Map();
+
+function registerProvider(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Speech-to-text provider "${name}" needs a factory function`);
+    }
+    factories.set(name, factory);
+}
+
+function listProviders() {
+    return [...factories.keys()];
+}
+
+function createProvider(name, options = {}) {
+    const factory = factories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown speech-to-text provider "${name}" (registered: ${listProviders().join(', ')})`);
+    }
+    return factory(options);
+}
+
+// What a provider needs to be used for live streams or for recordings
+const CAPABILITIES = {
+    live: provider => typeof provider.createLiveStream === 'function',
+    batch: provider => typeof provider.transcribeFile === 'function' || typeof provider.transcribeUrl === 'function'
+};
+
+// "deepgram,assemblyai" (or an array) → providers in that order, the first being the primary.
+// Pass the same `shared` Map to every call so an engine listed twice (live and post-call) is
+// created once, with one client.
+function createProviders(names, optionsByName = {}, capability = null, shared = new Map()) {
+    const list = (Array.isArray(names) ? names : String(names || '').split(','))
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    if (list.length === 0) {
+        throw new Error('No speech-to-text providers configured');
+    }
+
+    return [...new Set(list)].map(name => {
+        if (!shared.has(name)) {
+            shared.set(name, createProvider(name, optionsByName[name]));
+        }
+        const provider = shared.get(name);
+        if (capability && !CAPABILITIES[capability](provider)) {
+            throw new Error(`Speech-to-text provider "${name}" can't be used for ${capability} transcription`);
+        }
+        return provider;
+    });
+}
+
+registerProvider('deepgram', createDeepgramProvider);
+registerProvider('assemblyai', createAssemblyAIProvider);
+registerProvider('offline', createOfflineProvider);
+
+module.exports = {
+    registerProvider,
+    listProviders,
+    createProvider,
+    createProviders
+};
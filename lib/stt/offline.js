@@ -0,0 +1,150 @@
+// Offline speech-to-text provider - deterministic transcripts with no network and no API key
+//
+// For tests and local runs. Every segmentSeconds of audio a stream "hears" becomes one final,
+// cycling through the configured phrases, with speech_started / interim / utterance_end events
+// around it like a real engine. Pre-recorded transcription returns all phrases in order.
+const { EventEmitter } = require('events');
+
+const OFFLINE_DEFAULTS = {
+    phrases: ['This is an offline test transcript.'],
+    segmentSeconds: 2,
+    confidence: 0.9,
+    wordSeconds: 0.3                // Spacing of word timings in pre-recorded results
+};
+
+// Spread a phrase's words evenly over start..end
+function timedWords(text, start, end, confidence) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = words.length > 0 ? (end - start) / words.length : 0;
+    return words.map((word, index) => ({
+        word,
+        start: start + index * step,
+        end: start + (index + 1) * step,
+        confidence
+    }));
+}
+
+function createOfflineProvider(options = {}) {
+    const settings = { ...OFFLINE_DEFAULTS };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) {
+            settings[key] = value;
+        }
+    }
+    if (!Array.isArray(settings.phrases) || settings.phrases.length === 0) {
+        throw new Error('Offline provider needs at least one phrase');
+    }
+
+    // Phrases take turns between two speakers, like a two-party call
+    function transcribe() {
+        let position = 0;
+        const utterances = settings.phrases.map((text, index) => {
+            const start = position;
+            position += text.split(/\s+/).filter(Boolean).length * settings.wordSeconds;
+            return { speaker: String(index % 2), text, start, end: position, confidence: settings.confidence };
+        });
+
+        return {
+            service: 'offline',
+            text: settings.phrases.join(' '),
+            confidence: settings.confidence,
+            words: [].concat(...utterances.map(utterance =>
+                timedWords(utterance.text, utterance.start, utterance.end, settings.confidence))),
+            utterances
+        };
+    }
+
+    return {
+        name: 'offline',
+
+        supportsAudioFormat: () => true,
+
+        createLiveStream({ audioFormat, label = 'Offline' }) {
+            const stream = new EventEmitter();
+            const bytesPerSecond = audioFormat.sampleRate * audioFormat.channels * audioFormat.bytesPerSample;
+            const segmentBytes = Math.round(settings.segmentSeconds * bytesPerSecond);
+
+            let receivedBytes = 0;
+            let segmentStartBytes = 0;
+            let interimSent = false;
+            let count = 0;
+            let closed = false;
+
+            stream.label = label;
+
+            function emitFinal(endBytes) {
+                const start = segmentStartBytes / bytesPerSecond;
+                const end = endBytes / bytesPerSecond;
+                const text = settings.phrases[count % settings.phrases.length];
+                count++;
+
+                stream.emit('final', {
+                    text,
+                    confidence: settings.confidence,
+                    start,
+                    end,
+                    words: timedWords(text, start, end, settings.confidence)
+                });
+                stream.emit('utterance_end', { end });
+                segmentStartBytes = endBytes;
+                interimSent = false;
+            }
+
+            stream.send = (frame) => {
+                if (closed) {
+                    return;
+                }
+                if (receivedBytes === segmentStartBytes) {
+                    stream.emit('speech_started', { start: segmentStartBytes / bytesPerSecond });
+                }
+                receivedBytes += frame.length;
+
+                // Half way through a segment, the first half of its phrase as an interim
+                if (!interimSent && receivedBytes - segmentStartBytes >= segmentBytes / 2) {
+                    const start = segmentStartBytes / bytesPerSecond;
+                    const end = receivedBytes / bytesPerSecond;
+                    const words = settings.phrases[count % settings.phrases.length].split(/\s+/);
+                    const partial = words.slice(0, Math.ceil(words.length / 2)).join(' ');
+                    stream.emit('interim', {
+                        text: partial,
+                        confidence: settings.confidence,
+                        start,
+                        end,
+                        words: timedWords(partial, start, end, settings.confidence)
+                    });
+                    interimSent = true;
+                }
+                if (receivedBytes - segmentStartBytes >= segmentBytes) {
+                    emitFinal(receivedBytes);
+                }
+            };
+
+            // Anything heard since the last final still counts if it's a quarter segment or more
+            stream.close = () => {
+                if (closed) {
+                    return;
+                }
+                closed = true;
+                if (receivedBytes - segmentStartBytes >= segmentBytes / 4) {
+                    emitFinal(receivedBytes);
+                }
+                setImmediate(() => stream.emit('close'));
+            };
+
+            return stream;
+        },
+
+        async transcribeFile() {
+            return transcribe();
+        },
+
+        async transcribeUrl() {
+            return transcribe();
+        }
+    };
+}
+
+module.exports = {
+    OFFLINE_DEFAULTS,
+    createOfflineProvider
+};
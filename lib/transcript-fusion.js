@@ -0,0 +1,193 @@
+// Transcript fusion - ROVER-style word voting across speech-to-text engines
+//
+// Every engine's words are aligned into one sequence of slots (edit-distance alignment, one
+// engine at a time, most confident first). In each slot every engine votes for its word, or for
+// "no word" if it heard nothing there. A vote is worth
+//     alpha × (share of engines voting for it) + (1 - alpha) × (their average word confidence)
+// with "no word" scored at nullConfidence, and the best-scoring choice wins the slot.
+//
+// Engines transcribe the same audio, so the alignment stays close to the diagonal: only a band
+// of alignBand words either side of it (widened by the difference in length) is searched. That
+// keeps a long recording at O(n × band) instead of O(n²) work on the event loop.
+
+const ROVER_DEFAULTS = {
+    alpha: 0.5,                 // Weight of agreement between engines vs. word confidence
+    nullConfidence: 0.5,        // Confidence given to "no word here" votes
+    maxConfidence: 0.98,
+    alignBand: 40               // Words either side of the diagonal the alignment may stray
+};
+
+const OUT_OF_BAND = 1e9;
+
+// "Hello," / "hello" → "hello" - punctuation and case don't make words different
+function normalizeWord(word) {
+    return String(word || '').toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+}
+
+// Align one engine's words into the slots so far. A slot is { votes: { engine: word|null }, norms }
+// where norms is the set of normalized words voted for. Matching a slot costs nothing if any
+// engine already has the same word there.
+function alignWords(slots, engine, words, band = ROVER_DEFAULTS.alignBand) {
+    const n = slots.length;
+    const m = words.length;
+    const norms = words.map(word => normalizeWord(word.word));
+
+    // Row i only covers columns low[i]..high[i], around the diagonal scaled to both lengths
+    const width = band + Math.abs(n - m);
+    const low = new Int32Array(n + 1);
+    const high = new Int32Array(n + 1);
+    for (let i = 0; i <= n; i++) {
+        const center = n === 0 ? 0 : Math.round(i * m / n);
+        low[i] = Math.max(0, center - width);
+        high[i] = Math.min(m, center + width);
+    }
+
+    const cost = [];
+    const at = (i, j) => (j < low[i] || j > high[i] ? OUT_OF_BAND : cost[i][j - low[i]]);
+    const substitution = (i, j) => (slots[i - 1].norms.has(norms[j - 1]) ? 0 : 1);
+
+    for (let i = 0; i <= n; i++) {
+        const row = new Int32Array(high[i] - low[i] + 1);
+        cost.push(row);
+        for (let j = low[i]; j <= high[i]; j++) {
+            if (i === 0) {
+                row[j - low[i]] = j;
+            } else if (j === 0) {
+                row[j - low[i]] = i;
+            } else {
+                row[j - low[i]] = Math.min(
+                    at(i - 1, j - 1) + substitution(i, j),
+                    at(i - 1, j) + 1,           // Engine has no word for this slot
+                    at(i, j - 1) + 1            // Engine has a word no one else heard
+                );
+            }
+        }
+    }
+
+    // Walk back from the end, building the new slot list in reverse
+    const aligned = [];
+    const emptyVotes = Object.keys(slots[0] ? slots[0].votes : {}).reduce((votes, name) => ({ ...votes, [name]: null }), {});
+    const withWord = (slot, j) => ({
+        votes: { ...slot.votes, [engine]: words[j - 1] },
+        norms: new Set([...slot.norms, norms[j - 1]])
+    });
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && at(i, j) === at(i - 1, j - 1) + substitution(i, j)) {
+            aligned.push(withWord(slots[i - 1], j));
+            i--;
+            j--;
+        } else if (i > 0 && at(i, j) === at(i - 1, j) + 1) {
+            aligned.push({ votes: { ...slots[i - 1].votes, [engine]: null }, norms: slots[i - 1].norms });
+            i--;
+        } else {
+            aligned.push(withWord({ votes: emptyVotes, norms: new Set() }, j));
+            j--;
+        }
+    }
+    return aligned.reverse();
+}
+
+// Pick a slot's word - null when "no word" wins. Ties go to the more confident engine overall.
+function voteSlot(slot, engineOrder, options) {
+    const engines = Object.keys(slot.votes);
+    const candidates = new Map();
+
+    for (const engine of engines) {
+        const vote = slot.votes[engine];
+        const key = vote ? normalizeWord(vote.word) : null;
+        if (!candidates.has(key)) {
+            candidates.set(key, []);
+        }
+        candidates.get(key).push({ engine, vote });
+    }
+
+    let best = null;
+    for (const [key, voters] of candidates.entries()) {
+        const confidence = key === null
+            ? options.nullConfidence
+            : voters.reduce((sum, { vote }) => sum + (Number.isFinite(vote.confidence) ? vote.confidence : options.nullConfidence), 0) / voters.length;
+        const score = options.alpha * voters.length / engines.length + (1 - options.alpha) * confidence;
+        const rank = Math.min(...voters.map(({ engine }) => engineOrder.indexOf(engine)));
+
+        if (!best || score > best.score || (score === best.score && rank < best.rank)) {
+            best = { key, voters, confidence, score, rank };
+        }
+    }
+
+    if (best.key === null) {
+        return null;
+    }
+
+    // Spelling, punctuation and timing come from the most confident engine that heard the word
+    const source = best.voters.reduce((current, voter) =>
+        ((voter.vote.confidence || 0) > (current.vote.confidence || 0) ? voter : current));
+    return {
+        word: source.vote.word,
+        start: source.vote.start,
+        end: source.vote.end,
+        confidence: best.confidence,
+        source: source.engine,
+        sources: best.voters.map(({ engine }) => engine)
+    };
+}
+
+// Word-level fusion of results that all carry words - { text, confidence, words, source, services_used }
+function roverFuse(results, settings = {}) {
+    const options = { ...ROVER_DEFAULTS, ...settings };
+    const ordered = [...results].sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    const engineOrder = ordered.map(result => result.service);
+
+    let slots = [];
+    for (const result of ordered) {
+        slots = alignWords(slots, result.service, result.words, options.alignBand);
+    }
+
+    const words = slots.map(slot => voteSlot(slot, engineOrder, options)).filter(Boolean);
+    const confidence = words.length > 0
+        ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+        : 0;
+
+    return {
+        text: words.map(word => word.word).join(' '),
+        confidence: Math.min(options.maxConfidence, confidence),
+        words,
+        source: 'rover',
+        services_used: ordered.map(result => result.service)
+    };
+}
+
+// Combine one utterance (or recording) from several engines. With word timings from every
+// engine the words are voted on; otherwise the more confident transcript is used whole.
+function fuseTranscripts(results, settings = {}) {
+    const available = results.filter(Boolean);
+    if (available.length === 0) return null;
+    if (available.length === 1) {
+        return { ...available[0], source: `${available[0].service}_primary`, services_used: [available[0].service] };
+    }
+
+    if (available.every(result => Array.isArray(result.words) && result.words.length > 0)) {
+        return roverFuse(available, settings);
+    }
+
+    // Use the result with the highest confidence; confidence is the average across services
+    const best = available.reduce((current, result) => ((result.confidence || 0) >= (current.confidence || 0) ? result : current));
+    const averageConfidence = available.reduce((sum, result) => sum + (result.confidence || 0), 0) / available.length;
+
+    return {
+        text: best.text,
+        confidence: Math.min(ROVER_DEFAULTS.maxConfidence, averageConfidence),
+        words: best.words || [],
+        source: `fused_${best.service}_primary`,
+        services_used: available.map(result => result.service)
+    };
+}
+
+module.exports = {
+    ROVER_DEFAULTS,
+    normalizeWord,
+    alignWords,
+    roverFuse,
+    fuseTranscripts
+};
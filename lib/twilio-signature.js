@@ -0,0 +1,41 @@
+// Twilio request signature validation for callback routes
+const twilio = require('twilio');
+
+// Build Express middleware that checks X-Twilio-Signature against the auth token.
+// resolveUrl(req) must return the exact public URL Twilio requested (scheme, host, path and query).
+function createTwilioSignatureValidator({ authToken, enabled = true, resolveUrl }) {
+    if (!enabled) {
+        console.log('⚠️ Twilio signature validation DISABLED (TWILIO_SIGNATURE_VALIDATION=false) - local development only');
+        return (req, res, next) => next();
+    }
+
+    if (!authToken) {
+        console.log('⚠️ Twilio signature validation enabled but TWILIO_AUTH_TOKEN is missing - callbacks will be rejected');
+    }
+
+    return function validateTwilioSignature(req, res, next) {
+        const signature = req.get('X-Twilio-Signature');
+        const url = resolveUrl(req);
+
+        if (!authToken) {
+            console.error(`🚫 Rejected ${req.method} ${req.originalUrl}: TWILIO_AUTH_TOKEN not configured, cannot validate signature`);
+            return res.sendStatus(403);
+        }
+
+        if (!signature) {
+            console.error(`🚫 Rejected ${req.method} ${req.originalUrl}: missing X-Twilio-Signature header (from ${req.ip})`);
+            return res.sendStatus(403);
+        }
+
+        if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+            console.error(`🚫 Rejected ${req.method} ${req.originalUrl}: invalid X-Twilio-Signature for ${url} (from ${req.ip})`);
+            return res.sendStatus(403);
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createTwilioSignatureValidator
+};
@@ -0,0 +1,209 @@
+// TwiML builder - every response we send to Twilio goes through here so text,
+// conference names and URLs are XML-escaped by twilio.twiml.VoiceResponse
+const { twiml } = require('twilio');
+const { toWebSocketUrl } = require('./public-url');
+
+const { VoiceResponse } = twiml;
+
+const DEFAULT_VOICE = 'alice';
+
+function say(response, text, voice = DEFAULT_VOICE) {
+    if (text) {
+        response.say({ voice }, text);
+    }
+}
+
+// Media Streams URL for the live transcription WebSocket
+function streamUrl(baseUrl, conferenceId) {
+    return `${toWebSocketUrl(baseUrl)}/deepgram?conference=${encodeURIComponent(conferenceId)}`;
+}
+
+// Caller or participant leg of a call-flow conference
+function conferenceResponse(flow, conferenceId, { baseUrl, greeting, inbound }) {
+    const response = new VoiceResponse();
+    say(response, greeting, flow.voice);
+
+    if (inbound && flow.liveStream) {
+        // Both tracks so the caller and the participant get separate recognizers
+        response.start().stream({ url: streamUrl(baseUrl, conferenceId), track: 'both_tracks' });
+    }
+
+    const attributes = {};
+
+    // Dual-channel flows record each leg as it joins, so they always need the join events
+    const recordLegs = flow.record && flow.recordingChannels === 'dual';
+    if (flow.statusCallback || recordLegs) {
+        attributes.statusCallback = `${baseUrl}/conference-events`;
+        attributes.statusCallbackEvent = 'start end join leave';
+    }
+
+    // Recording belongs to the conference, so only the leg that starts it asks for it
+    if (inbound) {
+        attributes.record = flow.record && !recordLegs ? 'record-from-start' : 'do-not-record';
+        if (flow.record && !recordLegs) {
+            attributes.recordingStatusCallback = `${baseUrl}/recording-complete`;
+            attributes.recordingStatusCallbackEvent = 'completed';
+        }
+    }
+
+    Object.assign(attributes, {
+        startConferenceOnEnter: true,
+        endConferenceOnExit: flow.endConferenceOnExit,
+        waitUrl: '',
+        beep: flow.beep,
+        muted: false,
+        region: flow.region,
+        maxParticipants: flow.maxParticipants
+    });
+
+    response.dial().conference(attributes, conferenceId);
+    return response.toString();
+}
+
+// Bridge flow - dial the target number directly, optionally recording the call. A dual-channel
+// recording has the caller on the first channel and the dialed number on the second.
+function bridgeResponse(flow, { baseUrl, targetNumber, callerNumber = '' }) {
+    const response = new VoiceResponse();
+    say(response, flow.greeting, flow.voice);
+
+    const dialAttributes = { timeout: flow.dialTimeout };
+    if (flow.record && flow.recordingChannels === 'dual') {
+        dialAttributes.record = 'record-from-answer-dual';
+        dialAttributes.recordingStatusCallback = `${baseUrl}/recording-complete?${new URLSearchParams({
+            speakers: 'caller,participant',
+            phones: `${callerNumber},${targetNumber}`
+        })}`;
+    } else if (flow.record) {
+        dialAttributes.record = 'record-from-start';
+        dialAttributes.recordingStatusCallback = `${baseUrl}/recording-complete`;
+    }
+
+    response.dial(dialAttributes).number({ statusCallback: `${baseUrl}/call-status` }, targetNumber);
+    say(response, flow.closingMessage, flow.voice);
+    return response.toString();
+}
+
+// Voice agent - hand the call to the /agent WebSocket, which listens and talks back. Twilio
+// carries on with the TwiML after <Connect> once the agent closes the stream.
+function agentResponse(flow, { baseUrl }) {
+    const response = new VoiceResponse();
+    say(response, flow.greeting, flow.voice);
+
+    // <Connect><Stream> URLs can't carry a query string - the flow goes as a custom parameter
+    const stream = response.connect().stream({ url: `${toWebSocketUrl(baseUrl)}/agent` });
+    stream.parameter({ name: 'flow', value: flow.name });
+
+    say(response, flow.closingMessage, flow.voice);
+    response.hangup();
+    return response.toString();
+}
+
+// IVR menu - <Gather> one key, then fall through to the selection route when nothing is pressed
+function menuResponse(flow, menu, { baseUrl, attempt = 1, message = null }) {
+    const response = new VoiceResponse();
+    const selectionUrl = `${baseUrl}/menu-selection?${new URLSearchParams({ flow: flow.name, attempt })}`;
+
+    say(response, message, flow.voice);
+
+    const gather = response.gather({
+        numDigits: 1,
+        timeout: menu.timeout,
+        action: selectionUrl,
+        method: 'POST'
+    });
+    gather.say({ voice: flow.voice }, menu.prompt);
+
+    response.redirect({ method: 'POST' }, selectionUrl);
+    return response.toString();
+}
+
+// Recording disclosure - <Gather> the opt-out key; no key press means the caller consents
+function consentResponse(flow, { baseUrl, menuSelection = null }) {
+    const response = new VoiceResponse();
+    const params = { flow: flow.name };
+    if (menuSelection) {
+        params.menu = menuSelection.digit;
+        if (menuSelection.defaulted) {
+            params.defaulted = 1;
+        }
+    }
+    const consentUrl = `${baseUrl}/recording-consent?${new URLSearchParams(params)}`;
+
+    const gather = response.gather({
+        numDigits: 1,
+        timeout: flow.consent.timeout,
+        action: consentUrl,
+        method: 'POST'
+    });
+    gather.say({ voice: flow.voice }, flow.consent.prompt);
+
+    response.redirect({ method: 'POST' }, consentUrl);
+    return response.toString();
+}
+
+// Voicemail step - greeting then <Record>; Twilio posts the recording to /voicemail-recording
+function voicemailResponse(flow, { baseUrl, caller, conferenceId }) {
+    const response = new VoiceResponse();
+    const settings = flow.voicemail;
+    const context = new URLSearchParams({ flow: flow.name, caller: caller || '', conference: conferenceId || '' });
+
+    say(response, settings.greeting, flow.voice);
+    response.record({
+        maxLength: settings.maxLength,
+        finishOnKey: settings.finishOnKey,
+        playBeep: settings.playBeep,
+        timeout: settings.silenceTimeout,
+        action: `${baseUrl}/voicemail-complete?${context}`,
+        method: 'POST',
+        recordingStatusCallback: `${baseUrl}/voicemail-recording?${context}`,
+        recordingStatusCallbackMethod: 'POST',
+        recordingStatusCallbackEvent: 'completed'
+    });
+
+    // Only reached when nothing was recorded - Twilio skips the action URL then
+    response.hangup();
+    return response.toString();
+}
+
+// Ad-hoc conference for the /test endpoints
+function testConferenceResponse(conferenceId, { greeting, baseUrl = null, beep = false, endConferenceOnExit = false } = {}) {
+    const response = new VoiceResponse();
+    say(response, greeting);
+
+    const attributes = {
+        startConferenceOnEnter: true,
+        endConferenceOnExit,
+        waitUrl: '',
+        beep,
+        muted: false,
+        region: 'ireland'
+    };
+
+    if (baseUrl) {
+        attributes.statusCallback = `${baseUrl}/conference-events`;
+        attributes.statusCallbackEvent = 'start end join leave';
+    }
+
+    response.dial().conference(attributes, conferenceId);
+    return response.toString();
+}
+
+// Apology + hang up, used whenever a flow cannot continue
+function sayAndHangup(message, voice = DEFAULT_VOICE) {
+    const response = new VoiceResponse();
+    say(response, message, voice);
+    response.hangup();
+    return response.toString();
+}
+
+module.exports = {
+    streamUrl,
+    conferenceResponse,
+    bridgeResponse,
+    agentResponse,
+    menuResponse,
+    consentResponse,
+    voicemailResponse,
+    testConferenceResponse,
+    sayAndHangup
+};
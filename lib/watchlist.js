@@ -0,0 +1,139 @@
+// Watchlist - phrases (competitors, cancellations, complaints, legal terms) that raise a live
+// alert when they turn up in a final transcript
+//
+// Each entry has a severity and a list of phrases. Matching ignores case and extra whitespace
+// and only hits whole words; a trailing * matches any word ending ("cancel*" → "cancelled").
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'watchlist.json');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const SPEAKERS = ['caller', 'participant'];
+
+let watchlistConfig = null;
+
+// "legal action" → /(?<!\w)legal\s+action(?!\w)/i, "cancel*" → /(?<!\w)cancel\w*(?!\w)/i
+function phrasePattern(phrase) {
+    const body = phrase.trim()
+        .split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*$/, '\\w*'))
+        .join('\\s+');
+    return new RegExp(`(?<!\\w)${body}(?!\\w)`, 'i');
+}
+
+function checkSeverity(severity, context) {
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`${context} has invalid severity "${severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    return severity;
+}
+
+// Load and validate the watchlist file (WATCHLIST_CONFIG overrides the bundled one)
+function loadWatchlist(configPath = process.env.WATCHLIST_CONFIG || DEFAULT_CONFIG_PATH) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const webhook = raw.webhook || {};
+
+    const entries = (raw.entries || []).map((entry, index) => {
+        const name = entry.name || `entry-${index + 1}`;
+        const phrases = (entry.phrases || []).filter(phrase => typeof phrase === 'string' && phrase.trim());
+        if (phrases.length === 0) {
+            throw new Error(`Watchlist entry "${name}" needs at least one phrase`);
+        }
+
+        const speakers = entry.speakers || SPEAKERS;
+        const unknown = speakers.find(speaker => !SPEAKERS.includes(speaker));
+        if (unknown) {
+            throw new Error(`Watchlist entry "${name}" has unknown speaker "${unknown}" (expected ${SPEAKERS.join(', ')})`);
+        }
+
+        return {
+            name,
+            severity: checkSeverity(entry.severity || 'medium', `Watchlist entry "${name}"`),
+            speakers,
+            phrases: phrases.map(phrase => ({ phrase, pattern: phrasePattern(phrase) }))
+        };
+    });
+
+    watchlistConfig = {
+        enabled: raw.enabled !== false,
+        cooldownSeconds: raw.cooldownSeconds === undefined ? 60 : Number(raw.cooldownSeconds),
+        webhook: {
+            url: process.env.WATCHLIST_WEBHOOK_URL || webhook.url || null,
+            minSeverity: checkSeverity(webhook.minSeverity || 'low', 'Watchlist webhook')
+        },
+        entries
+    };
+
+    console.log(`🚨 Loaded ${entries.length} watchlist entries from ${configPath} (${watchlistConfig.enabled ? 'enabled' : 'disabled'}, webhook: ${watchlistConfig.webhook.url ? `${watchlistConfig.webhook.minSeverity}+` : 'off'})`);
+    return watchlistConfig;
+}
+
+function getWatchlist() {
+    return watchlistConfig || loadWatchlist();
+}
+
+function severityAtLeast(severity, minimum) {
+    return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(minimum);
+}
+
+// Every entry hit by one final transcript - at most one hit per entry, the earliest in the text.
+// words ([{ word, start }]) give the hit its own time; otherwise it gets the utterance start.
+function matchWatchlist(config, text, { speaker = null, start = null, words = [] } = {}) {
+    if (!config.enabled || !text) {
+        return [];
+    }
+
+    const hits = [];
+    for (const entry of config.entries) {
+        if (speaker && !entry.speakers.includes(speaker)) {
+            continue;
+        }
+
+        let first = null;
+        for (const { phrase, pattern } of entry.phrases) {
+            const match = pattern.exec(text);
+            if (match && (!first || match.index < first.index)) {
+                first = { phrase, index: match.index, matched: match[0] };
+            }
+        }
+        if (!first) {
+            continue;
+        }
+
+        // Words before the match → the matched word's timing
+        const wordIndex = text.slice(0, first.index).split(/\s+/).filter(Boolean).length;
+        const word = words && words[wordIndex];
+
+        hits.push({
+            entry: entry.name,
+            severity: entry.severity,
+            phrase: first.phrase,
+            matched_text: first.matched,
+            offset: word && Number.isFinite(word.start) ? word.start : start
+        });
+    }
+    return hits;
+}
+
+// The hits that should raise an alert now. The same entry from the same speaker on one call alerts
+// once per cooldown; sent ("call|entry|speaker" → when that alert last went out) is updated.
+function dueAlerts(config, hits, { callId, speaker, sent, now = Date.now() }) {
+    return hits.filter((hit) => {
+        const key = `${callId}|${hit.entry}|${speaker}`;
+        if (sent.has(key) && now - sent.get(key) < config.cooldownSeconds * 1000) {
+            return false;
+        }
+        sent.set(key, now);
+        return true;
+    });
+}
+
+module.exports = {
+    SEVERITIES,
+    loadWatchlist,
+    getWatchlist,
+    matchWatchlist,
+    dueAlerts,
+    severityAtLeast
+};
@@ -7,30 +7,59 @@ const cors = require('cors');
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
-const { createClient } = require('@deepgram/sdk');
-const { AssemblyAI } = require('assemblyai');
 const twilio = require('twilio');
+const {
+    loadCallFlows,
+    getCallFlowConfig,
+    getCallFlow,
+    getMenu,
+    resolveCallFlow,
+    getRingGroup,
+    getBridgeNumber
+} = require('./lib/call-flows');
+const { createDialPlan } = require('./lib/ring-groups');
+const { selectMenuOption } = require('./lib/ivr-menus');
+const { loadRoutingRules, getRoutingRules, evaluateRoutingRules } = require('./lib/routing-rules');
+const { loadWatchlist, getWatchlist, matchWatchlist, dueAlerts, severityAtLeast } = require('./lib/watchlist');
+const { getStreamTracks, speakerForTrack, negotiateAudioFormat } = require('./lib/media-streams');
+const { createProviders } = require('./lib/stt');
+const { createLiveFusion } = require('./lib/live-fusion');
+const { fuseTranscripts } = require('./lib/transcript-fusion');
+const { attributeSpeakers, formatConversation, mergeChannels } = require('./lib/speaker-attribution');
+const { DEFAULT_JOBS_FILE, createRecordingJobQueue } = require('./lib/recording-jobs');
+const { DEFAULT_CAPTURE_DIR, createCallCapture, mixTracks, splitChannels } = require('./lib/call-audio');
+const { checkAgentSettings, createVoiceAgent, createGenerator, createTtsEngine } = require('./lib/agent');
+const TwiML = require('./lib/twiml');
+const { createTwilioSignatureValidator } = require('./lib/twilio-signature');
+const { getConfiguredBaseUrl, getPublicBaseUrl, parseTrustProxy } = require('./lib/public-url');
 
 const app = express();
 const server = http.createServer(app);
 
-// Deepgram configuration
+// Speech-to-text configuration
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY || 'c34944ade6ce11abf235534d7b5619b09d771f16';
-console.log('🔧 Initializing Deepgram client...');
-const deepgram = createClient(DEEPGRAM_API_KEY);
-console.log('✅ Deepgram client initialized');
-
-// AssemblyAI configuration
 const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
-let assemblyai = null;
-if (ASSEMBLYAI_API_KEY) {
-    console.log('🔧 Initializing AssemblyAI client...');
-    assemblyai = new AssemblyAI({ apiKey: ASSEMBLYAI_API_KEY });
-    console.log('✅ AssemblyAI client initialized');
-    } else {
+if (!ASSEMBLYAI_API_KEY) {
     console.log('⚠️ AssemblyAI API key not configured - single service mode');
 }
 
+const STT_PROVIDER_OPTIONS = {
+    deepgram: { apiKey: DEEPGRAM_API_KEY },
+    assemblyai: { apiKey: ASSEMBLYAI_API_KEY },
+    offline: { phrases: process.env.OFFLINE_STT_PHRASES ? process.env.OFFLINE_STT_PHRASES.split('|') : undefined }
+};
+const DEFAULT_STT_PROVIDERS = ASSEMBLYAI_API_KEY ? 'deepgram,assemblyai' : 'deepgram';
+
+// Live providers hear the call as it happens; batch providers transcribe the recording afterwards.
+// The first of each is the primary (interim results, fallback transcription). An engine in both
+// lists is one provider, so it has one client.
+const sttProviders = new Map();
+const liveProviders = createProviders(process.env.STT_LIVE_PROVIDERS || DEFAULT_STT_PROVIDERS, STT_PROVIDER_OPTIONS, 'live', sttProviders);
+const batchProviders = createProviders(process.env.STT_BATCH_PROVIDERS || DEFAULT_STT_PROVIDERS, STT_PROVIDER_OPTIONS, 'batch', sttProviders);
+const multiServiceEnabled = liveProviders.length > 1 || batchProviders.length > 1;
+const usesProvider = name => liveProviders.concat(batchProviders).some(provider => provider.name === name);
+console.log(`🎙️ Speech-to-text: live ${liveProviders.map(provider => provider.name).join(' + ')}, recordings ${batchProviders.map(provider => provider.name).join(' + ')}`);
+
 // Twilio configuration (optional for auto-dial)
 let twilioClient = null;
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
@@ -48,78 +77,393 @@ if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
 const PORT = process.env.PORT || 3000;
 const PARTICIPANT_NUMBER = process.env.PARTICIPANT_NUMBER;
 
+// Call-flow profiles (config/call-flows.json or CALL_FLOWS_CONFIG)
+loadCallFlows();
+Object.values(getCallFlowConfig().flows)
+    .filter(flow => flow.mode === 'agent')
+    .forEach(flow => checkAgentSettings(flow.name, flow.agent));
+
+// Voice agent engine settings that come from the environment rather than the flow
+const AGENT_GENERATOR_OPTIONS = {
+    openai: { apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL || undefined }
+};
+const AGENT_TTS_OPTIONS = {
+    deepgram: { apiKey: DEEPGRAM_API_KEY }
+};
+
+// Business-hours / holiday routing (config/routing-rules.json or ROUTING_RULES_CONFIG)
+loadRoutingRules(undefined, name => !!getCallFlow(name));
+
+// Live phrase alerts (config/watchlist.json or WATCHLIST_CONFIG)
+loadWatchlist();
+
+// Public URL for Twilio callbacks (PUBLIC_BASE_URL, else derived from proxy headers)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+const PUBLIC_BASE_URL = getConfiguredBaseUrl();
+
 // Essential middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
+// Twilio callback authentication (TWILIO_SIGNATURE_VALIDATION=false for local development)
+const validateTwilioRequest = createTwilioSignatureValidator({
+    authToken: TWILIO_AUTH_TOKEN,
+    enabled: process.env.TWILIO_SIGNATURE_VALIDATION !== 'false',
+    resolveUrl: req => `${getPublicBaseUrl(req)}${req.originalUrl}`
+});
+
 // Global state
 let activeConferences = new Map();
 let transcriptClients = new Set();
+let ringLegs = new Map();           // Outbound ring-group leg CallSid → conferenceId
+let consentRecords = new Map();     // Caller CallSid / conference name / ConferenceSid → recording consent decision
+let menuSelections = new Map();     // Caller CallSid / conference name / ConferenceSid → IVR menu option chosen
+let routingDecisions = new Map();   // Caller CallSid → business-hours routing rule chosen for the call
+let callAudioCaptures = new Map();  // Caller CallSid / conference name / ConferenceSid → WAV files captured from the stream
+let watchlistAlerts = new Map();    // "conference|entry|speaker" → when that alert last went out (cooldown)
+let speakerTimelines = new Map();   // Conference name / caller CallSid / ConferenceSid → who spoke when on the live stream
+let channelRecordings = new Map();  // Conference name → leg recordings started for a dual-channel flow
+
+// Post-call transcription jobs, kept on disk so a restart doesn't lose them
+const recordingJobs = createRecordingJobQueue({
+    run: runRecordingJob,
+    filePath: process.env.RECORDING_JOBS_FILE || DEFAULT_JOBS_FILE,
+    settings: process.env.RECORDING_JOB_CONCURRENCY ? { concurrency: Number(process.env.RECORDING_JOB_CONCURRENCY) } : {}
+});
+
+// How long to keep polling for a recording Twilio has announced but can't serve yet
+const RECORDING_POLL = { intervalMs: 1000, maxIntervalMs: 8000, timeoutMs: 60000 };
+
+// Local call audio capture (flows with "captureAudio": true)
+const CALL_AUDIO_DIR = process.env.CALL_AUDIO_DIR || DEFAULT_CAPTURE_DIR;
 
 // ============================================================================
 // CORE CONFERENCE FUNCTIONS
 // ============================================================================
 
-// 1. /webhook - Handle incoming calls, create conference, auto-dial participant
-app.post('/webhook', (req, res) => {
+// Old per-flow webhook paths - kept so numbers already pointed at them keep working
+const LEGACY_FLOW_ROUTES = {
+    '/webhook-enhanced': 'enhanced',
+    '/webhook-hybrid-enhanced': 'hybrid-enhanced',
+    '/webhook-conference-record': 'conference-record',
+    '/webhook-debug': 'debug',
+    '/webhook-alt': 'alt',
+    '/webhook-minimal': 'minimal',
+    '/webhook-codec': 'codec',
+    '/webhook-carrier': 'carrier',
+    '/webhook-bridge': 'bridge',
+    '/webhook-hybrid': 'hybrid',
+    '/webhook-emergency': 'emergency'
+};
+
+// 1. /webhook - Single inbound entry point, picks a call-flow profile by ?flow= or dialed number
+app.post(['/webhook', ...Object.keys(LEGACY_FLOW_ROUTES)], validateTwilioRequest, (req, res) => {
     const { CallSid, From, To } = req.body;
-    console.log(`📞 Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `conf-${CallSid}`;
-    // Railway always uses HTTPS, force it for production
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : (req.secure ? 'https' : 'http');
-    const host = req.get('host');
-    // Temporarily disable streaming to focus on audio-only
-    // const streamUrl = `${protocol === 'https' ? 'wss' : 'ws'}://${host}/deepgram?conference=${conferenceId}`;
-    
+    let flow = resolveCallFlow({
+        flowName: req.query.flow || LEGACY_FLOW_ROUTES[req.path],
+        to: To
+    });
+
+    // Business hours first - a rule can swap the flow or skip the live call entirely
+    const routing = evaluateRoutingRules(getRoutingRules());
+    if (routing) {
+        console.log(`🕘 Routing rule "${routing.rule}" (${routing.holiday || routing.state}, ${routing.localTime} ${routing.timezone}) → ${routing.action}${routing.flow ? ` via ${routing.flow}` : ''}`);
+        routingDecisions.set(CallSid, routing);
+        flow = routing.flow ? getCallFlow(routing.flow) : flow;
+    }
+
+    console.log(`📞 Incoming call: ${From} → ${To} (${CallSid}) - flow: ${flow.name} (${flow.mode})`);
+
+    if (routing && routing.action !== 'conference') {
+        startUnattendedCall(req, res, flow, routing);
+    } else if (flow.menu) {
+        console.log(`🔢 Playing menu ${flow.menu} to ${From}`);
+        res.type('text/xml').send(TwiML.menuResponse(flow, getMenu(flow.menu), { baseUrl: getPublicBaseUrl(req) }));
+    } else {
+        continueInboundCall(req, res, flow);
+    }
+});
+
+// IVR menu answer - invalid or missing keys replay the menu, then fall back to the default option
+app.post('/menu-selection', validateTwilioRequest, (req, res) => {
+    const { CallSid, From, Digits } = req.body;
+    const flow = getCallFlow(req.query.flow) || resolveCallFlow();
+    const menu = getMenu(flow.menu);
+    const attempt = parseInt(req.query.attempt, 10) || 1;
+
+    if (!menu) {
+        console.log(`⚠️ Menu selection for flow ${flow.name} which has no menu - connecting directly`);
+        return continueInboundCall(req, res, flow);
+    }
+
+    let selection = selectMenuOption(menu, Digits);
+
+    if (!selection) {
+        if (attempt < menu.maxAttempts) {
+            console.log(`🔢 Menu ${menu.name}: ${From} pressed ${Digits || 'nothing'} (attempt ${attempt}/${menu.maxAttempts}) - replaying`);
+            return res.type('text/xml').send(TwiML.menuResponse(flow, menu, {
+                baseUrl: getPublicBaseUrl(req),
+                attempt: attempt + 1,
+                message: Digits ? menu.invalidMessage : null
+            }));
+        }
+
+        selection = selectMenuOption(menu, menu.defaultOption);
+        selection.defaulted = true;
+    }
+
+    console.log(`🔢 Menu ${menu.name}: ${From} (${CallSid}) → ${selection.digit} ${selection.label}${selection.defaulted ? ' (default)' : ''}`);
+    continueInboundCall(req, res, flow, { menuSelection: selection });
+});
+
+// Recording consent answer - the opt-out key turns recording off, any other key or silence consents
+app.post('/recording-consent', validateTwilioRequest, (req, res) => {
+    const { CallSid, From, Digits } = req.body;
+    const flow = getCallFlow(req.query.flow) || resolveCallFlow();
+    const menu = flow.menu ? getMenu(flow.menu) : null;
+
+    // The menu choice made before the prompt rides along on the query string
+    const menuSelection = menu ? selectMenuOption(menu, req.query.menu) : null;
+    if (menuSelection && req.query.defaulted) {
+        menuSelection.defaulted = true;
+    }
+
+    const declined = Digits === flow.consent.optOutKey;
+    const consent = consentDecision(flow, declined ? 'declined' : 'given', Digits || null);
+
+    console.log(`🎙️ Recording consent: ${From} (${CallSid}) ${declined ? 'DECLINED' : 'given'}${Digits ? ` (pressed ${Digits})` : ''}`);
+    continueInboundCall(req, res, flow, { menuSelection, consent });
+});
+
+// Connect an inbound call once any menu is done - asks for recording consent first when the flow needs it
+function continueInboundCall(req, res, flow, { menuSelection = null, consent = null } = {}) {
+    if (!consent && flow.consent.enabled && transcribesCall(flow)) {
+        console.log(`🎙️ Playing recording consent prompt to ${req.body.From} (flow: ${flow.name})`);
+        return res.type('text/xml').send(TwiML.consentResponse(flow, { baseUrl: getPublicBaseUrl(req), menuSelection }));
+    }
+
+    consent = consent || consentDecision(flow, 'not_required');
+
+    // Declined: same flow, minus recording and live streaming
+    const callFlow = consent.status === 'declined'
+        ? {
+            ...flow,
+            record: false,
+            liveStream: false,
+            greeting: [flow.consent.declinedMessage, flow.greeting].filter(Boolean).join(' ')
+        }
+        : flow;
+
+    if (flow.mode === 'bridge') {
+        startBridgeCall(req, res, callFlow, { consent });
+    } else if (flow.mode === 'agent') {
+        startAgentCall(req, res, callFlow, { consent });
+    } else {
+        startConferenceCall(req, res, callFlow, { menuSelection, consent });
+    }
+}
+
+// Agent flows always transcribe the caller live - that's how the agent hears them
+function transcribesCall(flow) {
+    return flow.record || flow.liveStream || flow.mode === 'agent';
+}
+
+// Consent decision saved with the call and attached to its transcript/webhook payloads
+function consentDecision(flow, status, digit = null) {
+    return {
+        status: status,             // 'given', 'declined' or 'not_required' (flow has no prompt or doesn't record)
+        digit: digit,
+        recording: status !== 'declined' && transcribesCall(flow),
+        flow: flow.name,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function saveConsent(keys, consent) {
+    keys.filter(Boolean).forEach(key => consentRecords.set(key, consent));
+}
+
+// First consent decision found under any of the given call / conference identifiers
+function getConsent(...keys) {
+    for (const key of keys) {
+        if (key && consentRecords.has(key)) {
+            return consentRecords.get(key);
+        }
+    }
+    return null;
+}
+
+// Menu choices are kept like consent, so post-call payloads still have them after the call
+function saveMenuSelection(keys, menuSelection) {
+    if (menuSelection) {
+        const record = { ...menuSelection, selectedAt: new Date().toISOString() };
+        keys.filter(Boolean).forEach(key => menuSelections.set(key, record));
+    }
+}
+
+function getMenuSelection(...keys) {
+    for (const key of keys) {
+        if (key && menuSelections.has(key)) {
+            return menuSelections.get(key);
+        }
+    }
+    return null;
+}
+
+// Conference flow: put the caller in a conference and auto-dial the participant
+function startConferenceCall(req, res, flow, { menuSelection = null, consent = null } = {}) {
+    const { CallSid, From } = req.body;
+    const conferenceId = `${flow.conferencePrefix}-${CallSid}`;
+    const baseUrl = getPublicBaseUrl(req);
+
     // Store conference info
     activeConferences.set(conferenceId, {
         callSid: CallSid,
         caller: From,
         startTime: new Date(),
-        participants: 1
+        participants: 1,
+        mode: flow.label,
+        flow: flow.name,
+        multiService: multiServiceEnabled,
+        needsRecording: flow.record,
+        recordingChannels: flow.recordingChannels,
+        menuSelection: menuSelection,
+        consent: consent,
+        routing: routingDecisions.get(CallSid) || null,
+        conferenceId: conferenceId
     });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Welcome! Connecting you to the conference.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            record="false"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            waitUrl=""
-            beep="false"
-            muted="false"
-            region="ireland"
-            maxParticipants="10">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🎪 Conference created: ${conferenceId}`);
+    saveConsent([CallSid, conferenceId], consent);
+    saveMenuSelection([CallSid, conferenceId], menuSelection);
+
+    if (flow.announceCall || menuSelection) {
+        announceCallStarted(CallSid, From, flow, menuSelection);
+    }
+
+    const twiml = TwiML.conferenceResponse(flow, conferenceId, {
+        baseUrl,
+        greeting: flow.greeting,
+        inbound: true
+    });
+
+    console.log(`🎪 Conference created: ${conferenceId} (record: ${flow.record ? 'YES' : 'NO'} | live stream: ${flow.liveStream ? 'YES' : 'NO'})`);
     res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant if configured
-    if (PARTICIPANT_NUMBER) {
+
+    // Ring the participant (or the flow's / menu option's ring group) if configured
+    const ringGroup = getRingGroup(flow, menuSelection);
+    if (ringGroup) {
         setTimeout(() => {
-            dialParticipant(conferenceId, PARTICIPANT_NUMBER, req);
-        }, 2000);
+            startRingGroup(conferenceId, ringGroup, baseUrl, flow);
+        }, flow.dialDelayMs);
     }
-});
+}
+
+// Bridge flow: connect the caller straight to the target number, no conference
+function startBridgeCall(req, res, flow, { consent = null } = {}) {
+    const { CallSid, From } = req.body;
+    const baseUrl = getPublicBaseUrl(req);
+    const targetNumber = getBridgeNumber(flow);
+
+    // Store call info
+    activeConferences.set(CallSid, {
+        callSid: CallSid,
+        caller: From,
+        startTime: new Date(),
+        mode: flow.label,
+        flow: flow.name,
+        consent: consent,
+        routing: routingDecisions.get(CallSid) || null
+    });
+    saveConsent([CallSid], consent);
+
+    if (flow.announceCall) {
+        announceCallStarted(CallSid, From, flow);
+    }
+
+    if (!targetNumber) {
+        console.log(`⚠️ Bridge flow ${flow.name} has no target number (set BRIDGE_TARGET_NUMBER)`);
+        res.type('text/xml').send(TwiML.sayAndHangup('Sorry, no one is available to take your call.', flow.voice));
+        return;
+    }
+
+    const twiml = TwiML.bridgeResponse(flow, { baseUrl, targetNumber, callerNumber: From });
+
+    console.log(`🌉 Bridge TwiML sent for: ${CallSid} → ${targetNumber} (record: ${flow.record ? 'YES' : 'NO'})`);
+    res.type('text/xml').send(twiml);
+}
+
+// Agent flow: the voice agent answers over a bidirectional stream (see handleAgentStream)
+function startAgentCall(req, res, flow, { consent = null } = {}) {
+    const { CallSid, From } = req.body;
+
+    activeConferences.set(CallSid, {
+        callSid: CallSid,
+        caller: From,
+        startTime: new Date(),
+        mode: flow.label,
+        flow: flow.name,
+        consent: consent,
+        routing: routingDecisions.get(CallSid) || null
+    });
+    saveConsent([CallSid], consent);
+
+    if (flow.announceCall) {
+        announceCallStarted(CallSid, From, flow);
+    }
+
+    console.log(`🤖 Voice agent answering ${From} (${CallSid}) - generator: ${flow.agent.generator}, tts: ${flow.agent.tts}`);
+    res.type('text/xml').send(TwiML.agentResponse(flow, { baseUrl: getPublicBaseUrl(req) }));
+}
+
+// Routing rule sent the call to voicemail or a closed message instead of a live call
+function startUnattendedCall(req, res, flow, routing) {
+    const { CallSid, From } = req.body;
+
+    activeConferences.set(CallSid, {
+        callSid: CallSid,
+        caller: From,
+        startTime: new Date(),
+        mode: flow.label,
+        flow: flow.name,
+        routing: routing
+    });
+
+    if (routing.action === 'voicemail') {
+        console.log(`📮 ${From} sent to voicemail by routing rule "${routing.rule}"`);
+        res.type('text/xml').send(TwiML.voicemailResponse(flow, {
+            baseUrl: getPublicBaseUrl(req),
+            caller: From,
+            conferenceId: CallSid
+        }));
+    } else {
+        console.log(`🔇 ${From} given the "${routing.rule}" message`);
+        res.type('text/xml').send(TwiML.sayAndHangup(routing.message, flow.voice));
+    }
+}
+
+// Broadcast call start to dashboard
+function announceCallStarted(callSid, caller, flow, menuSelection = null) {
+    broadcastTranscript({
+        type: 'call_started',
+        callSid: callSid,
+        caller: caller,
+        mode: flow.label,
+        flow: flow.name,
+        menuSelection: menuSelection,
+        message: `${flow.mode === 'bridge' ? 'Bridge' : 'Conference'} call started (${flow.name}${menuSelection ? `, menu: ${menuSelection.label}` : ''})`,
+        timestamp: new Date().toISOString()
+    });
+}
 
 // 2. /participant - Handle second participant joining
-app.post('/participant', (req, res) => {
+app.post('/participant', validateTwilioRequest, (req, res) => {
     try {
         const { CallSid, From, To } = req.body;
         const conferenceId = req.query.conference || `conf-${CallSid}`;
-        
-        console.log(`👥 Participant joining: ${From} → ${conferenceId}`);
+        const flow = getCallFlow(req.query.flow) || resolveCallFlow();
+
+        console.log(`👥 Participant joining: ${From} → ${conferenceId} (flow: ${flow.name})`);
         console.log(`🔍 Request details:`, {
             CallSid,
             From,
@@ -127,37 +471,27 @@ app.post('/participant', (req, res) => {
             query: req.query,
             conferenceId
         });
-        
+
         // Validate conference exists
         if (!activeConferences.has(conferenceId)) {
             console.log(`⚠️ Conference not found: ${conferenceId}`);
             console.log(`📋 Active conferences:`, Array.from(activeConferences.keys()));
         }
-        
-        // Railway always uses HTTPS, force it for production  
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : (req.secure ? 'https' : 'http');
-        
-        const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining the conference now.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${req.get('host')}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            waitUrl=""
-            beep="false"
-            muted="false"
-            region="ireland"
-            maxParticipants="10">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-        
+
+        // Ring group: only the first leg to answer joins, later answers are turned away
+        if (!claimRingGroupAnswer(conferenceId, CallSid)) {
+            console.log(`🔕 ${From} answered after ${conferenceId} was already picked up - hanging up`);
+            return res.type('text/xml').send(TwiML.sayAndHangup('This call has already been answered. Thank you.', flow.voice));
+        }
+
+        const twiml = TwiML.conferenceResponse(flow, conferenceId, {
+            baseUrl: getPublicBaseUrl(req),
+            greeting: flow.participantGreeting,
+            inbound: false
+        });
+
         console.log(`📜 Participant TwiML:`, twiml);
-        
+
         // Update conference info
         if (activeConferences.has(conferenceId)) {
             const conf = activeConferences.get(conferenceId);
@@ -165,185 +499,590 @@ app.post('/participant', (req, res) => {
             activeConferences.set(conferenceId, conf);
             console.log(`📊 Conference updated: ${conf.participants} participants`);
         }
-        
+
         res.type('text/xml').send(twiml);
         console.log(`✅ Participant TwiML sent successfully`);
-        
+
     } catch (error) {
         console.error(`❌ Participant endpoint error:`, error);
-        
+
         // Send error response TwiML
-        const errorTwiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Sorry, there was an error joining the conference. Please try again.</Say>
-    <Hangup/>
-</Response>`;
-        
+        const errorTwiml = TwiML.sayAndHangup('Sorry, there was an error joining the conference. Please try again.');
+
         res.type('text/xml').send(errorTwiml);
     }
 });
 
-// Auto-dial function
-async function dialParticipant(conferenceId, participantNumber, req) {
+// Auto-dial function - places one outbound leg and returns its CallSid (null on failure)
+async function dialParticipant(conferenceId, participantNumber, baseUrl, flow, timeout) {
     if (!twilioClient) {
         console.log('⚠️ Auto-dial skipped: Twilio client not configured');
-        return;
+        return null;
     }
-    
+
     try {
-        // Railway always uses HTTPS, force it for production
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : (req.secure ? 'https' : 'http');
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant?conference=${conferenceId}`;
-        
+        const participantUrl = `${baseUrl}/participant?conference=${encodeURIComponent(conferenceId)}&flow=${encodeURIComponent(flow.name)}`;
+
         console.log(`📱 Auto-dialing participant: ${participantNumber} → ${conferenceId}`);
         console.log(`🔗 Participant URL: ${participantUrl}`);
-        
+
         // Make actual Twilio call
         const call = await twilioClient.calls.create({
             to: participantNumber,
             from: process.env.TWILIO_PHONE_NUMBER || '+441733964789', // Your Twilio number
             url: participantUrl,
             method: 'POST',
-            statusCallback: `${protocol}://${host}/call-status`,
+            timeout: timeout || flow.dialTimeout,
+            statusCallback: `${baseUrl}/call-status`,
             statusCallbackMethod: 'POST'
         });
-        
+
         console.log(`✅ Auto-dial initiated: ${call.sid} → ${participantNumber}`);
         console.log(`🔗 Participant will join conference: ${conferenceId}`);
-        
-        // Update conference info
-        if (activeConferences.has(conferenceId)) {
-            const conf = activeConferences.get(conferenceId);
-            conf.outboundCallSid = call.sid;
-            conf.participantNumber = participantNumber;
-            activeConferences.set(conferenceId, conf);
-        }
-        
+        return call.sid;
+
     } catch (error) {
         console.error('❌ Auto-dial error:', error.message);
         console.error('🔍 Check: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER');
+        return null;
+    }
+}
+
+// ============================================================================
+// RING GROUPS
+// ============================================================================
+
+// Leg outcomes that mean "this number will not join"
+const RING_LEG_FAILED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+// Start dialing a ring group into a conference
+function startRingGroup(conferenceId, group, baseUrl, flow) {
+    const conf = activeConferences.get(conferenceId);
+    if (!conf) {
+        console.log(`⚠️ Ring group ${group.name} skipped: ${conferenceId} already ended`);
+        return;
+    }
+
+    const plan = createDialPlan(group);
+    conf.ringGroup = {
+        name: plan.group,
+        strategy: plan.strategy,
+        legTimeout: plan.legTimeout,
+        pending: plan.numbers,      // Numbers not dialed yet
+        legs: {},                   // CallSid → { number, status }
+        dialing: 0,                 // Legs being placed that have no CallSid yet
+        answeredCallSid: null,
+        exhausted: null,            // Failover action once nobody is left to dial
+        baseUrl: baseUrl,
+        flow: flow.name
+    };
+
+    console.log(`🔔 Ring group ${plan.group} (${plan.strategy}) for ${conferenceId}: ${plan.numbers.join(', ')}`);
+
+    if (plan.strategy === 'simultaneous') {
+        conf.ringGroup.pending.splice(0).forEach(number => dialRingLeg(conferenceId, number));
+    } else {
+        dialRingLeg(conferenceId, conf.ringGroup.pending.shift());
+    }
+}
+
+async function dialRingLeg(conferenceId, number) {
+    const conf = activeConferences.get(conferenceId);
+    if (!conf || !conf.ringGroup) return;
+
+    const ring = conf.ringGroup;
+    ring.dialing++;
+    const callSid = await dialParticipant(conferenceId, number, ring.baseUrl, getCallFlow(ring.flow), ring.legTimeout);
+    ring.dialing--;
+
+    if (!callSid) {
+        ringGroupLegFailed(conferenceId, number, 'failed');
+        return;
+    }
+
+    ring.legs[callSid] = { number, status: 'initiated' };
+    ringLegs.set(callSid, conferenceId);
+
+    // Another leg answered (or the caller was failed over) while this one was being placed
+    if (ring.answeredCallSid || ring.exhausted) {
+        cancelRingLegs(conf, ring.answeredCallSid);
+    }
+}
+
+// Status callback for an outbound leg (wired from /call-status)
+function handleRingLegStatus(conferenceId, callSid, status) {
+    const conf = activeConferences.get(conferenceId);
+
+    if (status === 'completed' || RING_LEG_FAILED_STATUSES.includes(status)) {
+        ringLegs.delete(callSid);
+    }
+    if (!conf || !conf.ringGroup || !conf.ringGroup.legs[callSid]) return;
+
+    const leg = conf.ringGroup.legs[callSid];
+    leg.status = status;
+
+    if (RING_LEG_FAILED_STATUSES.includes(status)) {
+        ringGroupLegFailed(conferenceId, leg.number, status);
+    }
+}
+
+// A leg did not connect - hunt on to the next number, or fail over once nobody is left ringing
+function ringGroupLegFailed(conferenceId, number, status) {
+    const conf = activeConferences.get(conferenceId);
+    if (!conf || !conf.ringGroup) return;
+
+    const ring = conf.ringGroup;
+    if (ring.answeredCallSid || ring.exhausted) return;
+
+    console.log(`🔔 Ring group ${ring.name}: ${number} ${status}`);
+
+    if (ring.pending.length > 0) {
+        const nextNumber = ring.pending.shift();
+        reportDialFailover(conferenceId, { failedNumber: number, failedStatus: status, outcome: 'next_number', nextNumber });
+        dialRingLeg(conferenceId, nextNumber);
+        return;
+    }
+
+    // Legs still being placed count as ringing - a simultaneous group isn't done until they report
+    const stillRinging = ring.dialing > 0 || Object.values(ring.legs).some(leg =>
+        leg.status !== 'completed' && !RING_LEG_FAILED_STATUSES.includes(leg.status)
+    );
+
+    if (!stillRinging) {
+        runDialFailover(conferenceId, number, status);
+    }
+}
+
+// Nobody in the ring group answered - work through the flow's failover plan
+function runDialFailover(conferenceId, failedNumber, failedStatus) {
+    const conf = activeConferences.get(conferenceId);
+    const ring = conf.ringGroup;
+    const flow = getCallFlow(ring.flow);
+    const failover = flow.failover;
+
+    // Backup numbers get one pass after the ring group itself
+    if (!ring.failoverStarted && failover.numbers.length > 0) {
+        ring.failoverStarted = true;
+        ring.pending = [...failover.numbers];
+
+        const nextNumber = ring.pending.shift();
+        reportDialFailover(conferenceId, { failedNumber, failedStatus, outcome: 'next_number', nextNumber });
+        dialRingLeg(conferenceId, nextNumber);
+        return;
+    }
+
+    console.log(`❌ Nobody answered for ${conferenceId} - failover action: ${failover.action}`);
+    ring.exhausted = failover.action;
+
+    switch (failover.action) {
+        case 'message':
+            reportDialFailover(conferenceId, { failedNumber, failedStatus, outcome: 'message', exhausted: true });
+            redirectCaller(conf, TwiML.sayAndHangup(failover.message, flow.voice));
+            break;
+        case 'voicemail':
+            reportDialFailover(conferenceId, { failedNumber, failedStatus, outcome: 'voicemail', exhausted: true });
+            redirectCaller(conf, TwiML.voicemailResponse(flow, {
+                baseUrl: ring.baseUrl,
+                caller: conf.caller,
+                conferenceId: conferenceId
+            }));
+            break;
+        default:
+            reportDialFailover(conferenceId, { failedNumber, failedStatus, outcome: 'none', exhausted: true });
+            break;
+    }
+}
+
+// Pull the caller out of the conference onto new TwiML
+async function redirectCaller(conf, twiml) {
+    if (!twilioClient) return;
+
+    try {
+        await twilioClient.calls(conf.callSid).update({ twiml });
+        console.log(`↪️ Caller ${conf.callSid} redirected`);
+    } catch (error) {
+        console.error(`❌ Could not redirect caller ${conf.callSid}:`, error.message);
+    }
+}
+
+// Broadcast a failover decision to the dashboard
+function reportDialFailover(conferenceId, { failedNumber, failedStatus, outcome, nextNumber = null, exhausted = false }) {
+    const conf = activeConferences.get(conferenceId);
+    const messages = {
+        next_number: `${failedNumber} ${failedStatus} - trying ${nextNumber}`,
+        message: `${failedNumber} ${failedStatus} - nobody available, caller told and disconnected`,
+        voicemail: `${failedNumber} ${failedStatus} - nobody available, caller sent to voicemail`,
+        none: `${failedNumber} ${failedStatus} - nobody available, caller left waiting`
+    };
+
+    broadcastTranscript({
+        type: 'dial_failover',
+        callSid: conf.callSid,
+        conference: conferenceId,
+        ringGroup: conf.ringGroup.name,
+        failedNumber: failedNumber,
+        failedStatus: failedStatus,
+        outcome: outcome,
+        nextNumber: nextNumber,
+        exhausted: exhausted,
+        message: messages[outcome],
+        timestamp: new Date().toISOString()
+    });
+}
+
+// First leg to answer wins the ring group; returns false for legs answering too late
+function claimRingGroupAnswer(conferenceId, callSid) {
+    const conf = activeConferences.get(conferenceId);
+    if (!conf || !conf.ringGroup) return true;
+
+    const ring = conf.ringGroup;
+    if (ring.answeredCallSid && ring.answeredCallSid !== callSid) return false;
+
+    // The caller has already been failed over - a leg answering now has nobody to talk to
+    if (ring.exhausted) {
+        console.log(`🔕 Ring group ${ring.name} already failed over (${ring.exhausted}) - turning away ${callSid}`);
+        return false;
+    }
+
+    ring.answeredCallSid = callSid;
+    conf.outboundCallSid = callSid;
+    conf.participantNumber = ring.legs[callSid] ? ring.legs[callSid].number : null;
+    console.log(`✅ Ring group ${ring.name} answered by ${conf.participantNumber || callSid}`);
+
+    cancelRingLegs(conf, callSid);
+    return true;
+}
+
+// Stop every leg still ringing (all of them, or all but the one that answered)
+function cancelRingLegs(conf, exceptCallSid = null) {
+    if (!conf || !conf.ringGroup) return;
+
+    const ring = conf.ringGroup;
+    ring.pending = [];
+
+    for (const [callSid, leg] of Object.entries(ring.legs)) {
+        if (callSid === exceptCallSid || leg.status === 'completed' || RING_LEG_FAILED_STATUSES.includes(leg.status)) {
+            continue;
+        }
+
+        leg.status = 'canceling';
+        twilioClient.calls(callSid).update({ status: 'canceled' })
+            // Already picked up - cancel only works while ringing, so hang it up instead
+            .catch(() => twilioClient.calls(callSid).update({ status: 'completed' }))
+            .then(() => console.log(`🔕 Cancelled ring leg ${callSid} (${leg.number})`))
+            .catch(error => console.error(`⚠️ Could not cancel ring leg ${callSid}:`, error.message));
+    }
+}
+
+// ============================================================================
+// DEEPGRAM WEBSOCKET STREAMING
+// ============================================================================
+
+// 3. WebSocket route for Deepgram streaming
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (ws, req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    
+    if (url.pathname === '/deepgram') {
+        handleMultiServiceStream(ws, req);
+    } else if (url.pathname === '/agent') {
+        handleAgentStream(ws);
+    } else {
+        handleDashboard(ws);
+    }
+});
+
+// ============================================================================
+// MULTI-SERVICE TRANSCRIPTION (Enhanced Accuracy)
+// ============================================================================
+
+// Enhanced multi-service stream handler - the caller's leg streams both tracks and each track gets
+// its own recognizers, so every transcript says who spoke (caller or participant). With several live
+// providers configured, every engine hears each track and their finals are fused per utterance.
+function handleMultiServiceStream(ws, req) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const conferenceId = url.searchParams.get('conference') || 'unknown';
+    
+    console.log(`🎯 Multi-service transcription started for: ${conferenceId}`);
+    console.log(`🔍 Services available: ${liveProviders.map(provider => `${provider.name} ✅`).join(', ')}`);
+    
+    // Track name ('inbound' / 'outbound') → its recognizers, opened on the 'start' event
+    const recognizers = new Map();
+    let capture = null;
+    
+    // Who spoke when, in stream seconds - post-call transcripts use it to name diarized speakers
+    const timeline = { streamStartedAt: Date.now(), recordingStartedAt: null, segments: [] };
+    
+    // Recognizer timings count from the start of the stream; payloads count from the start of the call
+    const callTiming = { startedAt: new Date(), streamOffsetSeconds: 0 };
+    const toCallTime = seconds => Math.round((seconds + callTiming.streamOffsetSeconds) * 1000) / 1000;
+    const toCallWords = (words, speaker) => (words || []).map(word => ({
+        word: word.word,
+        start: toCallTime(word.start),
+        end: toCallTime(word.end),
+        confidence: word.confidence,
+        speaker: speaker,
+        ...(word.source ? { source: word.source, sources: word.sources } : {})
+    }));
+    
+    // Live streams for one track - one per configured provider that can take this audio. Finals
+    // from all of them are fused per utterance; interim and voice-activity events come from the
+    // primary (first) provider only.
+    function openTrackRecognizer(track, audioFormat) {
+        const speaker = speakerForTrack(track);
+        const providers = liveProviders.filter(provider => provider.supportsAudioFormat(audioFormat));
+        
+        liveProviders.filter(provider => !providers.includes(provider)).forEach(provider => {
+            console.log(`⚠️ ${provider.name} can't take ${audioFormat.encoding} x${audioFormat.channels} audio live - skipped for ${speaker}`);
+        });
+        if (providers.length === 0) {
+            throw new Error(`No live speech-to-text provider accepts ${audioFormat.encoding} ${audioFormat.sampleRate}Hz x${audioFormat.channels} audio`);
+        }
+        
+        // Finals from every engine meet here and leave as one transcript per utterance
+        const fusion = createLiveFusion({
+            engines: providers.map(provider => provider.name),
+            fuse: parts => fuseTranscripts(Object.values(parts)),
+            label: `Fusion ${speaker} (${conferenceId})`,
+            onUtterance: (utterance) => {
+                const multiService = utterance.services_used.length > 1;
+                console.log(`🔀 ${multiService ? 'Fused' : utterance.source} ${speaker} FINAL: "${utterance.text}" (${Math.round(utterance.confidence * 100)}%)`);
+                
+                broadcastTranscript({
+                    type: 'transcript',
+                    service: multiService ? 'multi_service' : utterance.services_used[0],
+                    conference: conferenceId,
+                    speaker: speaker,
+                    track: track,
+                    text: utterance.text,
+                    confidence: utterance.confidence,
+                    is_final: true,
+                    start: toCallTime(utterance.start),
+                    end: toCallTime(utterance.end),
+                    words: toCallWords(utterance.words, speaker),
+                    call_start: callTiming.startedAt.toISOString(),
+                    services_used: utterance.services_used,
+                    source: utterance.source,
+                    individual_results: utterance.individual_results,
+                    enhanced: true,
+                    consent: getConsent(conferenceId),
+                    timestamp: new Date().toISOString()
+                });
+                
+                timeline.segments.push({ speaker, start: utterance.start, end: utterance.end });
+                processTranscript(utterance.text, conferenceId, speaker);
+                checkWatchlist(utterance.text, conferenceId, speaker, {
+                    start: toCallTime(utterance.start),
+                    words: toCallWords(utterance.words, speaker),
+                    callStart: callTiming.startedAt
+                });
+            }
+        });
+        
+        const streams = providers.map((provider, index) => {
+            const stream = provider.createLiveStream({
+                audioFormat,
+                label: `${provider.name} ${speaker} (${conferenceId})`
+            });
+            
+            stream.on('final', (segment) => {
+                console.log(`🎙️ ${provider.name} ${speaker} FINAL: "${segment.text}" (${Math.round(segment.confidence * 100)}%)`);
+                fusion.add(provider.name, segment);
+            });
+            stream.on('close', () => fusion.setEngineActive(provider.name, false));
+            stream.on('error', () => {});     // Providers log their own errors and close or reconnect
+            
+            if (index === 0) {
+                watchPrimaryStream(stream, provider.name, track, speaker);
+            }
+            watchStreamHealth(stream, provider.name, speaker);
+            return stream;
+        });
+        
+        return {
+            track,
+            speaker,
+            fusion,
+            send: frame => streams.forEach(stream => stream.send(frame)),
+            close: () => streams.forEach(stream => stream.close())
+        };
+    }
+    
+    function watchPrimaryStream(stream, service, track, speaker) {
+        // Interim results stay single-engine - only finals are worth fusing
+        stream.on('interim', (segment) => {
+            console.log(`🎙️ ${service} ${speaker} interim: "${segment.text}" (${Math.round(segment.confidence * 100)}%)`);
+            broadcastTranscript({
+                type: 'transcript',
+                service: service,
+                conference: conferenceId,
+                speaker: speaker,
+                track: track,
+                text: segment.text,
+                confidence: segment.confidence,
+                is_final: false,
+                start: toCallTime(segment.start),
+                end: toCallTime(segment.end),
+                words: toCallWords(segment.words, speaker),
+                call_start: callTiming.startedAt.toISOString(),
+                enhanced: true,
+                consent: getConsent(conferenceId),
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Voice activity - when each side starts talking and when an utterance is over
+        stream.on('speech_started', (event) => {
+            broadcastTranscript({
+                type: 'speech_started',
+                conference: conferenceId,
+                speaker: speaker,
+                track: track,
+                start: toCallTime(event.start),
+                call_start: callTiming.startedAt.toISOString(),
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        stream.on('utterance_end', (event) => {
+            broadcastTranscript({
+                type: 'utterance_end',
+                conference: conferenceId,
+                speaker: speaker,
+                track: track,
+                end: toCallTime(event.end),
+                call_start: callTiming.startedAt.toISOString(),
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+    
+    // Connection health goes to the dashboard so a gap in the transcript is explained
+    function watchStreamHealth(stream, service, speaker) {
+        stream.on('disconnected', (info) => {
+            broadcastTranscript({
+                type: 'stream_reconnecting',
+                conference: conferenceId,
+                speaker: speaker,
+                service: service,
+                attempt: info.attempt,
+                delay_ms: info.delayMs,
+                at_seconds: info.atSeconds,
+                error: info.error,
+                message: `Live transcription (${service}, ${speaker}) lost its connection - reconnecting (attempt ${info.attempt})`,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        stream.on('reconnected', (info) => {
+            broadcastTranscript({
+                type: 'stream_reconnected',
+                conference: conferenceId,
+                speaker: speaker,
+                service: service,
+                attempts: info.attempts,
+                downtime_ms: info.downtimeMs,
+                replayed_seconds: info.replayedSeconds,
+                message: `Live transcription (${service}, ${speaker}) reconnected, replayed ${info.replayedSeconds.toFixed(1)}s of audio`,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        stream.on('gap', (gap) => {
+            console.log(`⚠️ Live transcription gap (${service}, ${speaker}): ${gap.startSeconds.toFixed(1)}s-${gap.endSeconds.toFixed(1)}s not transcribed`);
+            broadcastTranscript({
+                type: 'stream_gap',
+                conference: conferenceId,
+                speaker: speaker,
+                service: service,
+                start_seconds: gap.startSeconds,
+                end_seconds: gap.endSeconds,
+                duration_seconds: gap.durationSeconds,
+                message: `${gap.durationSeconds.toFixed(1)}s of ${speaker} audio could not be transcribed by ${service}`,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        stream.on('failed', (info) => {
+            broadcastTranscript({
+                type: 'stream_error',
+                conference: conferenceId,
+                speaker: speaker,
+                service: service,
+                error: info.error,
+                message: `Live transcription (${service}, ${speaker}) stopped after ${info.attempts} reconnect attempts`,
+                timestamp: new Date().toISOString()
+            });
+        });
     }
-}
-
-// ============================================================================
-// DEEPGRAM WEBSOCKET STREAMING
-// ============================================================================
-
-// 3. WebSocket route for Deepgram streaming
-const wss = new WebSocket.Server({ server });
-
-wss.on('connection', (ws, req) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
     
-    if (url.pathname === '/deepgram') {
-        handleMultiServiceStream(ws, req);
-    } else {
-        handleDashboard(ws);
+    // Audio we can't describe to the recognizer - say so everywhere and drop the stream
+    function rejectStream(error) {
+        console.error(`❌ Live transcription disabled for ${conferenceId}: ${error.message}`);
+        broadcastTranscript({
+            type: 'stream_error',
+            conference: conferenceId,
+            error: error.message,
+            message: `Live transcription unavailable: ${error.message}`,
+            timestamp: new Date().toISOString()
+        });
+        ws.close(1003, 'Unsupported media format');
     }
-});
-
-// ============================================================================
-// MULTI-SERVICE TRANSCRIPTION (Enhanced Accuracy)
-// ============================================================================
-
-// Enhanced Deepgram stream handler with multi-service support
-function handleMultiServiceStream(ws, req) {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const conferenceId = url.searchParams.get('conference') || 'unknown';
     
-    console.log(`🎯 Multi-service transcription started for: ${conferenceId}`);
-    console.log(`🔍 Services available: Deepgram ✅${assemblyai ? ', AssemblyAI ✅' : ''}`);
-    
-    // Enhanced Deepgram configuration
-    const deepgramLive = deepgram.listen.live({
-        model: 'nova-2',
-        language: 'en-GB',          // UK English for better accent recognition
-        smart_format: true,
-        punctuate: true,
-        profanity_filter: false,
-        redact: false,
-        diarize: true,              // Speaker identification
-        multichannel: false,
-        interim_results: true,
-        endpointing: 300,
-        utterance_end_ms: 1000,
-        keywords: ['meeting', 'schedule', 'business', 'call', 'appointment', 'price', 'cost', 'service'],
-        keyword_boost: 'medium'
-    });
+    function closeRecognizers() {
+        for (const recognizer of recognizers.values()) {
+            recognizer.close();
+        }
+        recognizers.clear();
+    }
     
-    // AssemblyAI WebSocket for real-time (if available)
-    let assemblyaiWs = null;
-    if (assemblyai) {
+    // Our own copy of the call audio, one WAV per track, for flows with captureAudio
+    function startCapture(conf, audioFormat, tracks) {
+        const flow = getCallFlow(conf.flow);
+        if (!flow || !flow.captureAudio) {
+            return;
+        }
+        
         try {
-            console.log('🎙️ Setting up AssemblyAI real-time connection...');
-            // Note: AssemblyAI real-time requires different setup, we'll use it for post-processing
-            } catch (error) {
-            console.log('⚠️ AssemblyAI real-time not available, using Deepgram only');
+            capture = createCallCapture({
+                dir: CALL_AUDIO_DIR,
+                callId: conferenceId,
+                audioFormat,
+                tracks: tracks.map(track => ({ track, speaker: speakerForTrack(track) }))
+            });
+        } catch (error) {
+            console.error(`❌ Call audio capture disabled for ${conferenceId}: ${error.message}`);
+            return;
         }
+        
+        const record = { startedAt: Date.now(), files: null, done: null };
+        capture.record = record;
+        capture.callSid = conf.callSid;
+        capture.needsRecording = conf.needsRecording;
+        [conf.callSid, conferenceId].forEach(key => callAudioCaptures.set(key, record));
+        console.log(`💾 Capturing call audio for ${conferenceId}: ${Object.values(capture.files).join(', ')}`);
     }
     
-    // Storage for combining transcripts
-    let deepgramResults = [];
-    let assemblyaiResults = [];
-    let lastCombinedResult = '';
-    
-    // Enhanced Deepgram transcript handler
-    deepgramLive.on('transcript', (data) => {
-        if (data.channel && data.channel.alternatives && data.channel.alternatives[0]) {
-            const transcript = data.channel.alternatives[0].transcript;
-            const confidence = data.channel.alternatives[0].confidence;
-            const isFinal = data.is_final;
-            
-            if (transcript && transcript.trim().length > 0) {
-                console.log(`🔵 Deepgram ${isFinal ? 'FINAL' : 'interim'}: "${transcript}" (${Math.round(confidence * 100)}%)`);
-                
-                // Store for fusion
-                deepgramResults.push({
-                    service: 'deepgram',
-                    text: transcript,
-                    confidence: confidence,
-                    is_final: isFinal,
-                    timestamp: new Date().toISOString()
-                });
-                
-                // If only Deepgram available, broadcast immediately
-                if (!assemblyai || isFinal) {
-                    const transcriptData = {
-                        type: 'transcript',
-                        service: assemblyai ? 'multi_service' : 'deepgram',
-                        conference: conferenceId,
-                        text: transcript,
-                        confidence: confidence,
-                        is_final: isFinal,
-                        enhanced: true,
-                        timestamp: new Date().toISOString()
-                    };
-                    
-                    broadcastTranscript(transcriptData);
-                    
-                    if (isFinal) {
-                        processTranscript(transcript, conferenceId);
-                    }
-                }
-            }
+    // Finish the files; without a Twilio recording on the way, the capture is the post-call audio
+    function finishCapture() {
+        if (!capture) {
+            return;
         }
-    });
-    
-    // Handle Deepgram connection events
-    deepgramLive.on('open', () => {
-        console.log('✅ Enhanced Deepgram connection opened');
-        ws.deepgramConnected = true;
-    });
-    
-    deepgramLive.on('close', () => {
-        console.log('🔒 Enhanced Deepgram connection closed');
-        ws.deepgramConnected = false;
-    });
-    
-    deepgramLive.on('error', (error) => {
-        console.error('❌ Enhanced Deepgram error:', error);
-    });
+        const finished = capture;
+        capture = null;
+        
+        finished.record.done = finished.close();
+        finished.record.done
+            .then((files) => {
+                finished.record.files = files;
+                console.log(`💾 Call audio saved for ${conferenceId}: ${Object.entries(files).map(([speaker, file]) => `${speaker} ${file.seconds.toFixed(1)}s`).join(', ')}`);
+                if (!finished.needsRecording) {
+                    recordingJobs.enqueue({ id: `capture-${finished.callSid}`, kind: 'capture', callSid: finished.callSid });
+                }
+            })
+            .catch(error => console.error(`❌ Call audio capture failed for ${conferenceId}:`, error.message));
+    }
     
     // Handle Twilio audio stream
     ws.on('message', (message) => {
@@ -351,36 +1090,63 @@ function handleMultiServiceStream(ws, req) {
             const data = JSON.parse(message);
             
             switch (data.event) {
-                case 'start':
-                    console.log(`🎬 Multi-service stream started for: ${conferenceId}`);
+                case 'start': {
+                    const tracks = getStreamTracks(data.start);
+                    let audioFormat;
+                    
+                    try {
+                        audioFormat = negotiateAudioFormat(data.start && data.start.mediaFormat);
+                    } catch (error) {
+                        rejectStream(error);
+                        break;
+                    }
+                    
+                    // The stream starts after greetings/menus - line its clock up with the call's
+                    const conf = activeConferences.get(conferenceId);
+                    if (conf) {
+                        callTiming.startedAt = conf.startTime;
+                        callTiming.streamOffsetSeconds = (Date.now() - conf.startTime.getTime()) / 1000;
+                    }
+                    
+                    console.log(`🎬 Multi-service stream started for: ${conferenceId} (tracks: ${tracks.join(', ')}, audio: ${audioFormat.encoding} ${audioFormat.sampleRate}Hz x${audioFormat.channels}, ${callTiming.streamOffsetSeconds.toFixed(1)}s into the call)`);
+                    ws.audioFormat = audioFormat;
+                    if (conf) {
+                        startCapture(conf, audioFormat, tracks);
+                    }
+                    timeline.streamStartedAt = Date.now();
+                    [conferenceId, conf && conf.callSid].filter(Boolean).forEach(key => speakerTimelines.set(key, timeline));
+                    try {
+                        tracks.forEach(track => recognizers.set(track, openTrackRecognizer(track, audioFormat)));
+                    } catch (error) {
+                        closeRecognizers();
+                        rejectStream(error);
+                    }
                     break;
+                }
                     
-                case 'media':
-                    if (data.media && data.media.payload && ws.deepgramConnected) {
+                case 'media': {
+                    const recognizer = data.media ? recognizers.get(data.media.track || 'inbound') : null;
+                    if (recognizer && data.media.payload) {
                         const audioBuffer = Buffer.from(data.media.payload, 'base64');
                         
-                        // Send to Deepgram
-                        deepgramLive.send(audioBuffer);
-                        
-                        // Store audio for AssemblyAI batch processing if available
-                        if (assemblyai && data.sequenceNumber && parseInt(data.sequenceNumber) % 100 === 0) {
-                            // Every 100th packet, consider batch processing with AssemblyAI
-                            // This would require accumulating audio and sending for transcription
+                        // Every live provider on this track hears the frame
+                        recognizer.send(audioBuffer);
+                        if (capture) {
+                            capture.write(data.media.track || 'inbound', audioBuffer, Number(data.media.timestamp));
                         }
                         
                         // Debug logging
                         if (data.sequenceNumber && parseInt(data.sequenceNumber) % 50 === 0) {
-                            console.log(`🎵 Enhanced audio packet #${data.sequenceNumber} → Multi-service processing`);
+                            console.log(`🎵 Enhanced audio packet #${data.sequenceNumber} (${recognizer.speaker}) → Multi-service processing`);
                         }
                     }
                     break;
+                }
                     
                 case 'stop':
                     console.log(`🛑 Multi-service stream stopped for: ${conferenceId}`);
-                    deepgramLive.close();
-                    if (assemblyaiWs) {
-                        assemblyaiWs.close();
-                    }
+                    closeRecognizers();
+                    finishCapture();
                     activeConferences.delete(conferenceId);
                     break;
             }
@@ -391,113 +1157,247 @@ function handleMultiServiceStream(ws, req) {
     
     ws.on('close', () => {
         console.log(`📞 Multi-service connection closed for: ${conferenceId}`);
-        if (deepgramLive) {
-            deepgramLive.close();
-        }
-        if (assemblyaiWs) {
-            assemblyaiWs.close();
-        }
+        closeRecognizers();
+        finishCapture();
     });
     
     // Store connection reference
     ws.conferenceId = conferenceId;
-    ws.deepgramLive = deepgramLive;
-    ws.assemblyaiWs = assemblyaiWs;
+    ws.recognizers = recognizers;
     ws.isMultiService = true;
 }
 
-// AI Fusion logic to combine multiple transcription results
-function fuseTranscripts(deepgramResult, assemblyaiResult) {
-    // Simple fusion logic - can be enhanced with more sophisticated AI
-    if (!assemblyaiResult) return deepgramResult;
-    if (!deepgramResult) return assemblyaiResult;
+// ============================================================================
+// VOICE AGENT
+// ============================================================================
+
+// Bidirectional stream from <Connect><Stream> - the caller's audio goes to the primary live
+// provider that can take it. Its finals, interims and voice-activity events drive the flow's
+// voice agent: when the caller's turn ends, when to answer and when to stop talking (barge-in).
+function handleAgentStream(ws) {
+    let callSid = null;
+    let stream = null;
+    let agent = null;
+    let keepTranscript = true;      // Off when the caller declined consent
+    
+    const sendMessage = (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
     
-    // Compare confidence scores
-    const deepgramConfidence = deepgramResult.confidence || 0;
-    const assemblyaiConfidence = assemblyaiResult.confidence || 0;
+    const broadcastTurn = (speaker, text, extra = {}) => {
+        if (!keepTranscript) {
+            return;
+        }
+        broadcastTranscript({
+            type: 'transcript',
+            conference: callSid,
+            speaker: speaker,
+            text: text,
+            is_final: true,
+            consent: getConsent(callSid),
+            timestamp: new Date().toISOString(),
+            ...extra
+        });
+    };
     
-    // Use the result with higher confidence, but combine punctuation intelligently
-    if (deepgramConfidence > assemblyaiConfidence) {
-    return {
-            text: deepgramResult.text,
-            confidence: Math.min(0.98, (deepgramConfidence + assemblyaiConfidence) / 2),
-            source: 'fused_deepgram_primary',
-            services_used: ['deepgram', 'assemblyai']
-        };
-    } else {
-    return {
-            text: assemblyaiResult.text,
-            confidence: Math.min(0.98, (deepgramConfidence + assemblyaiConfidence) / 2),
-            source: 'fused_assemblyai_primary',
-            services_used: ['deepgram', 'assemblyai']
-        };
+    function startAgent(start) {
+        callSid = start.callSid;
+        const flowName = start.customParameters && start.customParameters.flow;
+        const flow = getCallFlow(flowName) || resolveCallFlow();
+        const audioFormat = negotiateAudioFormat(start.mediaFormat);
+        const provider = liveProviders.find(candidate => candidate.supportsAudioFormat(audioFormat));
+        
+        if (!provider) {
+            throw new Error(`No live speech-to-text provider accepts ${audioFormat.encoding} ${audioFormat.sampleRate}Hz x${audioFormat.channels} audio`);
+        }
+        
+        // Watchlist offsets are from the start of the call, not of this stream
+        const conf = activeConferences.get(callSid);
+        const callStart = conf ? conf.startTime : new Date();
+        const streamOffsetSeconds = (Date.now() - callStart.getTime()) / 1000;
+        
+        // A caller who declined still talks to the agent, but nothing they say leaves this stream
+        const consent = getConsent(callSid);
+        keepTranscript = !consent || consent.status !== 'declined';
+        
+        const label = `Agent (${callSid})`;
+        agent = createVoiceAgent({
+            generator: createGenerator(flow.agent.generator, { instructions: flow.agent.instructions, ...AGENT_GENERATOR_OPTIONS[flow.agent.generator] }),
+            tts: createTtsEngine(flow.agent.tts, AGENT_TTS_OPTIONS[flow.agent.tts]),
+            sendMessage,
+            callSid,
+            settings: flow.agent,
+            label
+        });
+        
+        agent.on('reply', ({ text, turn }) => {
+            console.log(`🤖 ${label} turn ${turn}${keepTranscript ? `: "${text}"` : ''}`);
+            broadcastTurn('agent', text, { service: flow.agent.generator, turn });
+        });
+        agent.on('interrupted', ({ turn, playedMs, durationMs, reason }) => {
+            console.log(`✋ ${label}: caller barged in on turn ${turn} (${reason}) after ${playedMs}/${durationMs}ms`);
+        });
+        
+        // Every turn's timing, for tuning endpointing and barge-in settings
+        agent.on('turn', (timings) => {
+            const ms = value => (value === null ? '-' : `${value}ms`);
+            console.log(`⏱️ ${label} turn ${timings.turn}: ${timings.dropped ? 'dropped' : timings.interrupted ? 'interrupted' : 'played'} | end of turn ${timings.endOfTurn} | endpoint ${ms(timings.endpointMs)} | generate ${ms(timings.generateMs)} | tts ${ms(timings.ttsMs)} | response latency ${ms(timings.responseLatencyMs)} | played ${ms(timings.playedMs)} of ${ms(timings.durationMs)}`);
+            broadcastTranscript({
+                type: 'agent_turn',
+                conference: callSid,
+                ...timings,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Closing the stream hands the call back to the TwiML after <Connect> (goodbye + hang up)
+        agent.on('hangup', () => {
+            console.log(`👋 ${label}: conversation finished - closing stream`);
+            ws.close(1000, 'Agent finished');
+        });
+        
+        stream = provider.createLiveStream({
+            audioFormat,
+            label: `${provider.name} caller (${callSid})`,
+            endpointingMs: flow.agent.endpointingMs,
+            utteranceEndMs: flow.agent.utteranceEndMs
+        });
+        stream.on('speech_started', () => agent.speechStarted());
+        stream.on('utterance_end', () => agent.utteranceEnd());
+        stream.on('interim', (segment) => {
+            agent.hearInterim(segment.text);
+            if (!keepTranscript) {
+                return;
+            }
+            broadcastTranscript({
+                type: 'transcript',
+                service: provider.name,
+                conference: callSid,
+                speaker: 'caller',
+                text: segment.text,
+                confidence: segment.confidence,
+                is_final: false,
+                timestamp: new Date().toISOString()
+            });
+        });
+        stream.on('final', (segment) => {
+            if (keepTranscript) {
+                console.log(`🎙️ ${label} caller: "${segment.text}" (${Math.round(segment.confidence * 100)}%)`);
+                broadcastTurn('caller', segment.text, { service: provider.name, confidence: segment.confidence });
+                processTranscript(segment.text, callSid, 'caller');
+                checkWatchlist(segment.text, callSid, 'caller', {
+                    start: segment.start + streamOffsetSeconds,
+                    words: (segment.words || []).map(word => ({ ...word, start: word.start + streamOffsetSeconds })),
+                    callStart
+                });
+            }
+            agent.hear(segment.text);
+        });
+        stream.on('error', () => {});     // Providers log their own errors and close or reconnect
+        
+        console.log(`🤖 ${label} started (flow: ${flow.name}, speech-to-text: ${provider.name}, audio: ${audioFormat.encoding} ${audioFormat.sampleRate}Hz)`);
+        agent.start(start.streamSid);
+    }
+    
+    function stopAgent() {
+        if (stream) {
+            stream.close();
+            stream = null;
+        }
+        if (agent) {
+            agent.close();
+            agent = null;
+        }
     }
+    
+    ws.on('message', (message) => {
+        try {
+            const data = JSON.parse(message);
+            
+            switch (data.event) {
+                case 'start':
+                    try {
+                        startAgent(data.start || {});
+                    } catch (error) {
+                        console.error(`❌ Voice agent could not start for ${callSid}: ${error.message}`);
+                        stopAgent();
+                        ws.close(1011, 'Voice agent unavailable');
+                    }
+                    break;
+                    
+                case 'media':
+                    if (stream && data.media && data.media.payload) {
+                        stream.send(Buffer.from(data.media.payload, 'base64'));
+                    }
+                    break;
+                    
+                case 'mark':
+                    if (agent && data.mark) {
+                        agent.handleMark(data.mark.name);
+                    }
+                    break;
+                    
+                case 'stop':
+                    console.log(`🛑 Voice agent stream stopped for: ${callSid}`);
+                    stopAgent();
+                    activeConferences.delete(callSid);
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Voice agent stream processing error:', error);
+        }
+    });
+    
+    ws.on('close', () => {
+        console.log(`📞 Voice agent connection closed for: ${callSid}`);
+        stopAgent();
+    });
 }
 
-// Enhanced post-call processing with AssemblyAI
-async function processRecordingMultiService(recordingUrl, callSid, recordingSid) {
+// Enhanced post-call processing with every batch provider - resolves to the broadcast transcript (null if every service failed).
+// Audio captured from the call's stream is used when there is any; recordingUrl may then be null.
+// useCapture is off for recordings that aren't the call itself (a voicemail isn't on the stream).
+// singleSpeaker names the only voice on recordings that can't have two (voicemail → 'caller').
+// webhook is off when the caller posts its own event for the recording (voicemail).
+async function processRecordingMultiService(recordingUrl, callSid, recordingSid, { singleSpeaker = null, useCapture = true, webhook = true } = {}) {
+    let audio = null;
+    let audioSource = null;
     try {
-        console.log(`🎯 Multi-service transcription for recording: ${recordingSid}`);
+        console.log(`🎯 Multi-service transcription for recording: ${recordingSid || `${callSid} (stream capture)`}`);
         console.log(`📼 Recording URL: ${recordingUrl}`);
         
+        const capturedAudio = useCapture ? await getCapturedAudio(callSid) : null;
+        if (!capturedAudio && !recordingUrl) {
+            throw new Error('No recording URL and no captured call audio');
+        }
+        
         // Broadcast processing start
         broadcastTranscript({
             type: 'transcription_processing',
             callSid: callSid,
             recordingSid: recordingSid,
-            message: 'Processing with Deepgram and AssemblyAI...',
+            message: `Processing with ${batchProviders.map(provider => provider.name).join(' and ')}...`,
             timestamp: new Date().toISOString()
         });
         
-        // Wait a bit for recording to be available
-        console.log('⏳ Waiting 3 seconds for recording to be available...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        // Verify recording URL is accessible
-        try {
-            const testResponse = await fetch(recordingUrl, { method: 'HEAD' });
-            console.log(`🔍 Recording URL check: ${testResponse.status} ${testResponse.statusText}`);
-            if (!testResponse.ok) {
-                throw new Error(`Recording not accessible: ${testResponse.status}`);
-            }
-        } catch (error) {
-            console.error('⚠️ Recording URL check failed:', error);
-            // Continue anyway, might still work
-        }
-        
-        // Process with both services in parallel
-        console.log('🚀 Starting parallel transcription processing...');
-        const [deepgramResult, assemblyaiResult] = await Promise.allSettled([
-            processWithDeepgram(recordingUrl),
-            assemblyai ? processWithAssemblyAI(recordingUrl) : Promise.resolve(null)
-        ]);
-        
-        let deepgramTranscript = null;
-        let assemblyaiTranscript = null;
-        
-        if (deepgramResult.status === 'fulfilled' && deepgramResult.value) {
-            deepgramTranscript = deepgramResult.value;
-            console.log(`🔵 Deepgram result: ${Math.round(deepgramTranscript.confidence * 100)}% confidence`);
-            console.log(`🔵 Deepgram text: "${deepgramTranscript.text}"`);
-        } else {
-            console.log(`🔵 Deepgram failed:`, deepgramResult.reason);
-        }
-        
-        if (assemblyaiResult.status === 'fulfilled' && assemblyaiResult.value) {
-            assemblyaiTranscript = assemblyaiResult.value;
-            console.log(`🟡 AssemblyAI result: ${Math.round(assemblyaiTranscript.confidence * 100)}% confidence`);
-            console.log(`🟡 AssemblyAI text: "${assemblyaiTranscript.text}"`);
-        } else {
-            console.log(`🟡 AssemblyAI not available or failed`);
-        }
+        // One authenticated download shared by every engine, so they all transcribe the same bytes
+        audio = capturedAudio || await downloadRecording(recordingUrl, { waitMs: RECORDING_POLL.timeoutMs });
+        audioSource = capturedAudio ? 'stream_capture' : 'twilio_recording';
         
-        // Fuse the results
-        const fusedResult = fuseTranscripts(deepgramTranscript, assemblyaiTranscript);
+        const { fusedResult, individualResults } = await transcribeWithProviders({ url: recordingUrl, audio });
         
         if (fusedResult && fusedResult.text && fusedResult.text.trim().length > 0) {
             console.log(`✅ Multi-service transcript ready (${Math.round(fusedResult.confidence * 100)}% confidence):`);
             console.log(`📝 FINAL: "${fusedResult.text}"`);
             
+            // Who said what - from the most confident engine that diarized the recording
+            const diarized = fusedResult.services_used
+                .map(name => individualResults[name])
+                .find(result => result && result.utterances && result.utterances.length > 0);
+            const speakers = buildSpeakerTranscript(callSid, diarized, { audioSource, singleSpeaker });
+            
             // Broadcast the enhanced transcript
             const transcriptData = {
                 type: 'final_transcript_multiservice',
@@ -506,17 +1406,23 @@ async function processRecordingMultiService(recordingUrl, callSid, recordingSid)
                 text: fusedResult.text,
                 confidence: fusedResult.confidence,
                 accuracy_type: 'multi_service_high_accuracy',
-                services_used: fusedResult.services_used || ['deepgram'],
-                source: fusedResult.source || 'deepgram_primary',
-                individual_results: {
-                    deepgram: deepgramTranscript,
-                    assemblyai: assemblyaiTranscript
-                },
+                audio_source: audioSource,
+                services_used: fusedResult.services_used,
+                source: fusedResult.source,
+                words: fusedResult.words,
+                ...speakers,
+                individual_results: individualResults,
+                menu_selection: getMenuSelection(callSid),
+                consent: getConsent(callSid),
                 timestamp: new Date().toISOString()
             };
             
             console.log('🔊 Broadcasting final transcript...');
             broadcastTranscript(transcriptData);
+            if (webhook && process.env.WEBHOOK_URL) {
+                sendToWebhook(transcriptData);
+            }
+            return transcriptData;
         } else {
             throw new Error('No valid transcription results or empty transcript');
         }
@@ -529,138 +1435,163 @@ async function processRecordingMultiService(recordingUrl, callSid, recordingSid)
             type: 'transcription_error',
             callSid: callSid,
             recordingSid: recordingSid,
-            message: 'Transcription failed - trying fallback...',
+            message: audio ? 'Transcription failed - trying fallback...' : 'Recording unavailable - will retry',
             error: error.message,
             timestamp: new Date().toISOString()
         });
         
+        // Without the audio there's nothing to fall back on - the job is retried later instead
+        if (!audio) {
+            throw error;
+        }
+        
         // Fallback to single service
         console.log('🔄 Attempting fallback to single service...');
-        processRecording(recordingUrl, callSid, recordingSid);
+        return processRecording(recordingUrl, callSid, recordingSid, audio, { singleSpeaker, audioSource, webhook });
     }
 }
 
-// Process recording with Deepgram
-async function processWithDeepgram(recordingUrl) {
-    try {
-        console.log('🔵 Deepgram: Downloading audio from:', recordingUrl);
-        
-        // Prepare fetch options with Twilio authentication if needed
-        const fetchOptions = {
-            method: 'GET',
-            headers: {}
-        };
-        
-        // If this is a Twilio recording URL, add authentication
-        if (recordingUrl.includes('api.twilio.com') && twilioClient) {
-            const accountSid = process.env.TWILIO_ACCOUNT_SID;
-            const authToken = process.env.TWILIO_AUTH_TOKEN;
-            
-            if (accountSid && authToken) {
-                const credentials = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
-                fetchOptions.headers['Authorization'] = `Basic ${credentials}`;
-                console.log('🔵 Deepgram: Using Twilio authentication');
-            }
-        }
-        
-        const response = await fetch(recordingUrl, fetchOptions);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to download recording: ${response.status} ${response.statusText}`);
-        }
-        
-        const audioBuffer = await response.arrayBuffer();
-        console.log(`🔵 Deepgram: Downloaded ${audioBuffer.byteLength} bytes`);
-        
-        if (audioBuffer.byteLength === 0) {
-            throw new Error('Empty audio file received');
-        }
-        
-        console.log('🔵 Deepgram: Starting transcription...');
-        const transcription = await deepgram.listen.prerecorded.transcribeFile(
-            audioBuffer,
-            {
-                model: 'nova-2',
-                language: 'en-GB',
-                smart_format: true,
-                punctuate: true,
-                diarize: true,
-                utterances: true,
-                detect_language: false,
-                keywords: ['meeting', 'schedule', 'business', 'call', 'appointment', 'price', 'cost'],
-                keyword_boost: 'medium'
-            }
-        );
-        
-        console.log('🔵 Deepgram: Raw response received');
-        
-        if (!transcription.result || !transcription.result.results || !transcription.result.results.channels) {
-            throw new Error('Invalid Deepgram response structure');
-        }
-        
-        const channel = transcription.result.results.channels[0];
-        if (!channel || !channel.alternatives || channel.alternatives.length === 0) {
-            throw new Error('No transcription alternatives found');
+// Every batch provider on the same audio in parallel, fused - { fusedResult, individualResults }.
+// fusedResult is null when nobody heard anything; throws only if every provider failed outright.
+async function transcribeWithProviders(source) {
+    console.log('🚀 Starting parallel transcription processing...');
+    const settled = await Promise.allSettled(batchProviders.map(provider => transcribeRecording(provider, source)));
+    
+    const individualResults = {};
+    settled.forEach((outcome, index) => {
+        const name = batchProviders[index].name;
+        if (outcome.status === 'fulfilled' && outcome.value && outcome.value.text) {
+            individualResults[name] = outcome.value;
+            console.log(`🎙️ ${name} result: ${Math.round(outcome.value.confidence * 100)}% confidence`);
+            console.log(`🎙️ ${name} text: "${outcome.value.text}"`);
+        } else {
+            individualResults[name] = null;
+            console.log(`🎙️ ${name} failed:`, outcome.status === 'rejected' ? outcome.reason.message || outcome.reason : 'empty transcript');
         }
+    });
+    
+    if (settled.every(outcome => outcome.status === 'rejected')) {
+        throw new Error(`Every speech-to-text provider failed (${settled.map(outcome => outcome.reason.message || outcome.reason).join('; ')})`);
+    }
+    
+    // Fuse the results
+    return { fusedResult: fuseTranscripts(Object.values(individualResults)), individualResults };
+}
+
+// Download a recording, with Twilio credentials when it's one of Twilio's. Twilio can announce a
+// recording a moment before it serves it, so with waitMs a 404 is polled (backing off) until then.
+async function downloadRecording(recordingUrl, { waitMs = 0 } = {}) {
+    console.log('⬇️ Downloading recording from:', recordingUrl);
+    
+    // Prepare fetch options with Twilio authentication if needed
+    const fetchOptions = {
+        method: 'GET',
+        headers: {}
+    };
+    
+    // If this is a Twilio recording URL, add authentication
+    if (recordingUrl.includes('api.twilio.com') && twilioClient) {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
         
-        const transcript = channel.alternatives[0].transcript;
-        const confidence = channel.alternatives[0].confidence;
-        
-        if (!transcript || transcript.trim().length === 0) {
-            throw new Error('Empty transcript returned');
+        if (accountSid && authToken) {
+            const credentials = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+            fetchOptions.headers['Authorization'] = `Basic ${credentials}`;
+            console.log('🔐 Using Twilio authentication');
         }
-        
-        console.log(`🔵 Deepgram: Success - ${transcript.length} characters transcribed`);
-        return { text: transcript, confidence: confidence, service: 'deepgram' };
-        
-    } catch (error) {
-        console.error('🔵 Deepgram processing error:', error);
-        throw error;
     }
+    
+    const deadline = Date.now() + waitMs;
+    let delayMs = RECORDING_POLL.intervalMs;
+    let response = await fetch(recordingUrl, fetchOptions);
+    
+    while (response.status === 404 && Date.now() + delayMs <= deadline) {
+        console.log(`⏳ Recording not available yet - checking again in ${delayMs / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        delayMs = Math.min(delayMs * 2, RECORDING_POLL.maxIntervalMs);
+        response = await fetch(recordingUrl, fetchOptions);
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Failed to download recording: ${response.status} ${response.statusText}`);
+    }
+    
+    const audioBuffer = Buffer.from(await response.arrayBuffer());
+    console.log(`⬇️ Downloaded ${audioBuffer.length} bytes`);
+    
+    if (audioBuffer.length === 0) {
+        throw new Error('Empty audio file received');
+    }
+    return audioBuffer;
+}
+
+// A recording's diarized utterances as a conversation - { utterances, speaker_attribution, conversation }.
+// The live stream's caller/participant timeline names the speakers; it's shifted onto the
+// recording's clock (captures start with the stream, conference recordings with the conference).
+function buildSpeakerTranscript(callSid, result, { audioSource, singleSpeaker = null }) {
+    if (!result || !result.utterances || result.utterances.length === 0) {
+        return { utterances: [], speaker_attribution: null, conversation: null };
+    }
+    
+    const timeline = speakerTimelines.get(callSid);
+    let liveSegments = [];
+    if (timeline && (audioSource === 'stream_capture' || timeline.recordingStartedAt)) {
+        const offsetSeconds = audioSource === 'stream_capture' ? 0 : (timeline.recordingStartedAt - timeline.streamStartedAt) / 1000;
+        liveSegments = timeline.segments.map(segment => ({
+            speaker: segment.speaker,
+            start: segment.start - offsetSeconds,
+            end: segment.end - offsetSeconds
+        }));
+    }
+    
+    const { method, utterances } = attributeSpeakers(result.utterances, { liveSegments, singleSpeaker });
+    console.log(`🗣️ ${utterances.length} utterances from ${result.service}, speakers by ${method}: ${[...new Set(utterances.map(utterance => utterance.speaker))].join(', ')}`);
+    return {
+        utterances,
+        speaker_attribution: { method, service: result.service },
+        conversation: formatConversation(utterances)
+    };
 }
 
-// Process recording with AssemblyAI
-async function processWithAssemblyAI(recordingUrl) {
-    if (!assemblyai) return null;
+// Mixed-down WAV of the call's captured stream audio, or null if the call wasn't captured
+async function getCapturedAudio(callSid) {
+    const record = callAudioCaptures.get(callSid);
+    if (!record || !record.done) {
+        return null;
+    }
     
     try {
-        console.log('🟡 AssemblyAI: Starting transcription...');
-        
-        // For Twilio recordings, AssemblyAI needs a publicly accessible URL
-        // We might need to download and re-upload or use a different approach
-        let audioUrl = recordingUrl;
-        
-        if (recordingUrl.includes('api.twilio.com')) {
-            console.log('🟡 AssemblyAI: Detected Twilio recording URL - may need authentication');
-            // AssemblyAI doesn't support Basic Auth URLs directly
-            // We'll try the URL as-is first, but might need to implement a proxy
-        }
-        
-        const transcript = await assemblyai.transcripts.transcribe({
-            audio_url: audioUrl,
-            language_code: 'en_uk',
-            punctuate: true,
-            format_text: true,
-            speaker_labels: true,
-            boost_param: 'high',
-            word_boost: ['meeting', 'schedule', 'business', 'call', 'appointment', 'price', 'cost'],
-            auto_highlights: true
-        });
-        
-        console.log('🟡 AssemblyAI: Transcription completed');
-        
-        return { 
-            text: transcript.text, 
-            confidence: transcript.confidence,
-            service: 'assemblyai',
-            speaker_labels: transcript.utterances
-        };
+        const files = await record.done;
+        const audio = await mixTracks(Object.values(files).map(file => file.path));
+        console.log(`💾 Using captured call audio for ${callSid} (${Object.keys(files).join(' + ')}, ${audio.length} bytes)`);
+        return audio;
     } catch (error) {
-        console.error('🟡 AssemblyAI processing error:', error);
+        console.error(`⚠️ Captured call audio unusable for ${callSid}:`, error.message);
         return null;
     }
 }
 
+// Transcribe a recording with one provider. source is { url, audio }: providers that take files
+// get the audio we already downloaded (or captured), so the recording is fetched once per call.
+// Only URL-only providers get the URL, since they can't authenticate to Twilio.
+async function transcribeRecording(provider, { url = null, audio = null }) {
+    console.log(`🎙️ ${provider.name}: Starting transcription...`);
+    let result;
+    if (audio && provider.transcribeFile) {
+        result = await provider.transcribeFile(audio);
+    } else if (url && provider.transcribeUrl) {
+        result = await provider.transcribeUrl(url);
+    } else {
+        throw new Error(audio ? `${provider.name} can't transcribe captured audio without a recording URL` : `${provider.name} needs the recording audio`);
+    }
+    
+    if (!result || !result.text || result.text.trim().length === 0) {
+        throw new Error(`Empty transcript returned by ${provider.name}`);
+    }
+    console.log(`🎙️ ${provider.name}: Success - ${result.text.length} characters transcribed`);
+    return result;
+}
+
 // ============================================================================
 // TRANSCRIPT PROCESSING
 // ============================================================================
@@ -694,35 +1625,42 @@ function broadcastTranscript(data) {
     console.log(`📡 Broadcast result: ${successCount} successful, ${errorCount} failed`);
 }
 
-// Simple intent detection
-function processTranscript(text, conferenceId) {
-    console.log(`🧠 Processing transcript: "${text}"`);
+// Simple intent detection - the caller's IVR menu choice wins over keyword guesses
+function processTranscript(text, conferenceId, speaker = null) {
+    console.log(`🧠 Processing transcript${speaker ? ` (${speaker})` : ''}: "${text}"`);
     
     const lowerText = text.toLowerCase();
-    let intent = 'general';
+    const menuSelection = getMenuSelection(conferenceId);
+    let detectedIntent = 'general';
     
     // Simple keyword matching
     if (lowerText.includes('meeting') || lowerText.includes('schedule')) {
-        intent = 'meeting_request';
+        detectedIntent = 'meeting_request';
     } else if (lowerText.includes('help') || lowerText.includes('support')) {
-        intent = 'support_request';
+        detectedIntent = 'support_request';
     } else if (lowerText.includes('price') || lowerText.includes('cost')) {
-        intent = 'pricing_inquiry';
+        detectedIntent = 'pricing_inquiry';
     }
     
+    const intent = (menuSelection && menuSelection.intent) || detectedIntent;
+    
     // Email extraction
     const emailMatch = text.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
     const email = emailMatch ? emailMatch[0] : null;
     
     if (intent !== 'general' || email) {
-        console.log(`🎯 Intent detected: ${intent}${email ? `, Email: ${email}` : ''}`);
+        console.log(`🎯 Intent detected: ${intent}${menuSelection ? ` (menu: ${menuSelection.label})` : ''}${email ? `, Email: ${email}` : ''}`);
         
         // Send to webhook if configured
         if (process.env.WEBHOOK_URL) {
             sendToWebhook({
                 conference: conferenceId,
+                speaker: speaker,
                 text: text,
                 intent: intent,
+                detected_intent: detectedIntent,
+                menu_selection: menuSelection,
+                consent: getConsent(conferenceId),
                 email: email,
                                 timestamp: new Date().toISOString()
             });
@@ -730,10 +1668,44 @@ function processTranscript(text, conferenceId) {
     }
 }
 
+// Watchlist phrases in a final transcript → 'alert' event, plus the alert webhook for severe ones.
+// The same entry from the same speaker alerts once per cooldown, not on every utterance.
+function checkWatchlist(text, conferenceId, speaker, { start = null, words = [], callStart = null } = {}) {
+    const watchlist = getWatchlist();
+    const conf = activeConferences.get(conferenceId);
+    
+    const hits = matchWatchlist(watchlist, text, { speaker, start, words });
+    for (const hit of dueAlerts(watchlist, hits, { callId: conferenceId, speaker, sent: watchlistAlerts })) {
+        const alert = {
+            type: 'alert',
+            conference: conferenceId,
+            callSid: conf ? conf.callSid : conferenceId,
+            speaker: speaker,
+            watchlist: hit.entry,
+            severity: hit.severity,
+            phrase: hit.phrase,
+            matched_text: hit.matched_text,
+            text: text,
+            offset: hit.offset,
+            call_start: callStart ? callStart.toISOString() : null,
+            menu_selection: getMenuSelection(conferenceId),
+            consent: getConsent(conferenceId),
+            timestamp: new Date().toISOString()
+        };
+        
+        console.log(`🚨 ${hit.severity.toUpperCase()} watchlist alert (${hit.entry}) on ${conferenceId}: ${speaker} said "${hit.matched_text}"${hit.offset === null ? '' : ` at ${hit.offset.toFixed(1)}s`}`);
+        broadcastTranscript(alert);
+        
+        if (watchlist.webhook.url && severityAtLeast(hit.severity, watchlist.webhook.minSeverity)) {
+            sendToWebhook(alert, watchlist.webhook.url);
+        }
+    }
+}
+
 // Send data to external webhook
-async function sendToWebhook(data) {
+async function sendToWebhook(data, url = process.env.WEBHOOK_URL) {
     try {
-        await fetch(process.env.WEBHOOK_URL, {
+        await fetch(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
@@ -749,14 +1721,31 @@ async function sendToWebhook(data) {
 // ============================================================================
 
 // Handle conference events
-app.post('/conference-events', (req, res) => {
-    const { ConferenceSid, StatusCallbackEvent, CallSid, Muted, Hold } = req.body;
+app.post('/conference-events', validateTwilioRequest, (req, res) => {
+    const { ConferenceSid, FriendlyName, StatusCallbackEvent, CallSid, Muted, Hold } = req.body;
     console.log(`🎪 Conference event: ${StatusCallbackEvent} for ${ConferenceSid}`);
     console.log(`🔍 Event details:`, { CallSid, Muted, Hold, timestamp: new Date().toISOString() });
     
     switch (StatusCallbackEvent) {
         case 'conference-start':
             console.log(`🎬 Conference started: ${ConferenceSid}`);
+            
+            // Conference recordings report the ConferenceSid, not our conference name
+            if (getConsent(FriendlyName)) {
+                saveConsent([ConferenceSid], getConsent(FriendlyName));
+            }
+            if (getMenuSelection(FriendlyName)) {
+                menuSelections.set(ConferenceSid, getMenuSelection(FriendlyName));
+            }
+            if (callAudioCaptures.has(FriendlyName)) {
+                callAudioCaptures.set(ConferenceSid, callAudioCaptures.get(FriendlyName));
+            }
+            // Conference recordings start here - the live timeline needs that to line up with them
+            if (speakerTimelines.has(FriendlyName)) {
+                const timeline = speakerTimelines.get(FriendlyName);
+                timeline.recordingStartedAt = Date.now();
+                speakerTimelines.set(ConferenceSid, timeline);
+            }
             break;
         case 'conference-end':
             console.log(`🏁 Conference ended: ${ConferenceSid}`);
@@ -765,6 +1754,12 @@ app.post('/conference-events', (req, res) => {
         case 'participant-join':
             console.log(`👋 Participant joined: ${CallSid} (Muted: ${Muted}, Hold: ${Hold})`);
             
+            // Dual-channel flows record every leg on its own as it joins
+            const joinedConf = activeConferences.get(FriendlyName);
+            if (joinedConf && joinedConf.needsRecording && joinedConf.recordingChannels === 'dual') {
+                startLegRecording(joinedConf, FriendlyName, CallSid, getPublicBaseUrl(req));
+            }
+            
             // Log conference status
             const confKey = Array.from(activeConferences.keys()).find(key => key.includes(ConferenceSid.replace('CF', 'CA')));
             if (confKey) {
@@ -785,10 +1780,30 @@ app.post('/conference-events', (req, res) => {
 });
 
 // Handle call status updates
-app.post('/call-status', (req, res) => {
+app.post('/call-status', validateTwilioRequest, (req, res) => {
     const { CallSid, CallStatus, Direction, From, To } = req.body;
     console.log(`📞 Call status: ${CallSid} → ${CallStatus} (${Direction}) - ${From} → ${To}`);
     
+    // Outbound ring-group leg - track it against its conference, the caller's call is unaffected
+    const ringConferenceId = ringLegs.get(CallSid);
+    if (ringConferenceId) {
+        handleRingLegStatus(ringConferenceId, CallSid, CallStatus);
+        
+        broadcastTranscript({
+            type: 'call_status',
+            callSid: CallSid,
+            conference: ringConferenceId,
+            status: CallStatus,
+            from: From,
+            to: To,
+            direction: Direction,
+            message: `Ring group leg ${CallStatus}`,
+            timestamp: new Date().toISOString()
+        });
+        
+        return res.sendStatus(200);
+    }
+    
     // Clean up conference on call end and check for recordings
     if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(CallStatus)) {
         // Check if this was a hybrid enhanced call that should have a recording
@@ -804,13 +1819,16 @@ app.post('/call-status', (req, res) => {
             }
         }
         
-        if (callInfo && callInfo.needsRecording && CallStatus === 'completed') {
+        // Dual-channel legs report their own recordings, with the channel layout attached
+        if (callInfo && callInfo.needsRecording && callInfo.recordingChannels !== 'dual' && CallStatus === 'completed') {
             console.log(`🎬 Call completed - checking for recording: ${CallSid}`);
             
-            // Wait a bit then try to fetch recording from Twilio API
-            setTimeout(() => {
-                checkAndProcessRecording(CallSid, callInfo);
-            }, 5000); // Wait 5 seconds for recording to be available
+            // Twilio can take a while to list the recording - the job looks again with backoff
+            if (twilioClient) {
+                recordingJobs.enqueue({ id: `find-${CallSid}`, kind: 'find', callSid: CallSid });
+            } else {
+                console.log('⚠️ No Twilio client available for recording check');
+            }
         }
         
         // Clean up by CallSid AND check for related conference IDs
@@ -823,7 +1841,10 @@ app.post('/call-status', (req, res) => {
                 keysToDelete.push(key);
             }
         }
-        keysToDelete.forEach(key => activeConferences.delete(key));
+        keysToDelete.forEach(key => {
+            cancelRingLegs(activeConferences.get(key));
+            activeConferences.delete(key);
+        });
         
         console.log(`🧹 Cleaned up call ${CallSid} and ${keysToDelete.length} related conferences - Status: ${CallStatus}`);
         
@@ -901,6 +1922,7 @@ app.get('/status', (req, res) => {
         callSid: call.callSid,
         caller: call.caller,
         mode: call.mode,
+        routingRule: call.routing ? call.routing.rule : null,
         startTime: call.startTime,
         duration: Math.floor((new Date() - call.startTime) / 1000)
     }));
@@ -908,13 +1930,13 @@ app.get('/status', (req, res) => {
     res.json({
         server: 'Real-Time Conference Transcription',
         version: '4.0-multiservice',
-        architecture: assemblyai ? 'Multi-Service AI (Deepgram + AssemblyAI)' : 'Enhanced Deepgram Streaming',
+        architecture: multiServiceEnabled ? `Multi-Service AI (${liveProviders.map(provider => provider.name).join(' + ')})` : `Enhanced ${liveProviders[0].name} Streaming`,
         activeConferences: activeConferences.size,
         activeCalls: activeCalls,
         features: [
             'twilio-conference', 
             'enhanced-deepgram', 
-            assemblyai ? 'assemblyai-integration' : null,
+            usesProvider('assemblyai') ? 'assemblyai-integration' : null,
             'multi-service-fusion',
             'real-time-transcription', 
             'post-call-enhancement',
@@ -923,20 +1945,68 @@ app.get('/status', (req, res) => {
         ].filter(Boolean),
         configuration: {
             deepgram: !!DEEPGRAM_API_KEY,
-            assemblyai: !!assemblyai,
+            assemblyai: usesProvider('assemblyai'),
+            stt_live_providers: liveProviders.map(provider => provider.name),
+            stt_batch_providers: batchProviders.map(provider => provider.name),
             twilio: !!twilioClient,
             participant_number: !!PARTICIPANT_NUMBER,
             auto_dial_enabled: !!(twilioClient && PARTICIPANT_NUMBER),
-            multi_service_enabled: !!assemblyai,
-            transcription_accuracy: assemblyai ? '92-95%' : '88-92%'
+            multi_service_enabled: multiServiceEnabled,
+            transcription_accuracy: multiServiceEnabled ? '92-95%' : '88-92%'
         },
         endpoints: {
-            '/webhook-enhanced': 'Real-time multi-service conference',
-            '/webhook-hybrid-enhanced': 'Bridge + multi-service recording (BEST)',
-            '/webhook-hybrid': 'Bridge + recording',
-            '/webhook-emergency': 'Simple bridge (audio test)',
-            '/webhook': 'Original conference'
+            '/webhook': 'Inbound calls - call flow picked by ?flow=, dialed number or default',
+            '/webhook?flow=hybrid-enhanced': 'Conference + multi-service recording (BEST)',
+            '/webhook?flow=enhanced': 'Real-time multi-service conference',
+            '/webhook?flow=hybrid': 'Bridge + recording',
+            '/webhook?flow=agent': 'Voice agent answers and talks back'
         },
+        callFlows: {
+            default: getCallFlowConfig().defaultFlow,
+            available: Object.values(getCallFlowConfig().flows).map(flow => ({
+                name: flow.name,
+                mode: flow.mode,
+                record: flow.record,
+                liveStream: flow.liveStream,
+                consentPrompt: flow.consent.enabled
+            }))
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Which routing rule applies right now, or at ?at=<ISO time> - works even while routing is disabled
+app.get('/routing-rules', (req, res) => {
+    const config = getRoutingRules();
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    if (isNaN(at.getTime())) {
+        return res.status(400).json({ error: `Invalid time "${req.query.at}"` });
+    }
+
+    res.json({
+        enabled: config.enabled,
+        timezone: config.timezone,
+        decision: evaluateRoutingRules({ ...config, enabled: true }, { clock: () => at }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Watchlist entries, and the alerts a sample sentence would raise: ?text=...&speaker=caller
+app.get('/watchlist', (req, res) => {
+    const watchlist = getWatchlist();
+    
+    res.json({
+        enabled: watchlist.enabled,
+        cooldownSeconds: watchlist.cooldownSeconds,
+        webhook: { enabled: !!watchlist.webhook.url, minSeverity: watchlist.webhook.minSeverity },
+        entries: watchlist.entries.map(entry => ({
+            name: entry.name,
+            severity: entry.severity,
+            speakers: entry.speakers,
+            phrases: entry.phrases.map(({ phrase }) => phrase)
+        })),
+        matches: req.query.text ? matchWatchlist(watchlist, req.query.text, { speaker: req.query.speaker || null }) : undefined,
         timestamp: new Date().toISOString()
     });
 });
@@ -977,8 +2047,9 @@ app.get('/test-recording', (req, res) => {
     const testCallSid = 'CAtest123456789';
     const testRecordingSid = 'REtest123456789';
     
-    // Simulate recording completion
-    processRecordingMultiService(testRecordingUrl, testCallSid, testRecordingSid);
+    // One attempt outside the job queue, so the dummy recording isn't retried or saved
+    runRecordingJob({ id: testRecordingSid, kind: 'call', recordingUrl: testRecordingUrl, callSid: testCallSid, meta: {} })
+        .catch(error => console.log(`🧪 Test recording processing failed: ${error.message}`));
     
     res.json({
         message: 'Test recording processing initiated',
@@ -1009,10 +2080,28 @@ app.post('/force-check-recordings', async (req, res) => {
         console.log(`📼 Found ${recordings.length} recent recordings`);
         
         let processedCount = 0;
+        let skippedCount = 0;
+        let callbackOnlyCount = 0;
         
         for (const recording of recordings) {
             const recordingUrl = `https://api.twilio.com${recording.uri.replace('.json', '.mp3')}`;
             
+            // Dual-channel legs and voicemails need what their own status callback carries (whose
+            // voice is on which channel, who left the message). Queued here as a plain call, they'd
+            // take the RecordingSid and the callback's job would be deduped away.
+            if (recording.channels === 2 || recording.source === 'RecordVerb') {
+                console.log(`⏭️ Recording ${recording.sid} (${recording.channels === 2 ? 'dual channel' : 'voicemail'}) is left to its status callback`);
+                callbackOnlyCount++;
+                continue;
+            }
+            
+            // Recordings already transcribed (or on their way) are left alone
+            const { created } = recordingJobs.enqueue({ id: recording.sid, recordingUrl, callSid: recording.callSid });
+            if (!created) {
+                skippedCount++;
+                continue;
+            }
+            
             console.log(`🎬 Processing recording: ${recording.sid} from call: ${recording.callSid}`);
             
             // Broadcast that we're processing this recording
@@ -1023,16 +2112,15 @@ app.post('/force-check-recordings', async (req, res) => {
                 message: 'Force processing recording...',
                             timestamp: new Date().toISOString()
             });
-            
-            // Process the recording
-            processRecordingMultiService(recordingUrl, recording.callSid, recording.sid);
             processedCount++;
         }
         
         res.json({
             success: true,
             message: `Initiated processing for ${processedCount} recordings`,
-            recordingsFound: recordings.length
+            recordingsFound: recordings.length,
+            alreadyProcessed: skippedCount,
+            leftToCallback: callbackOnlyCount
         });
         
         } catch (error) {
@@ -1065,7 +2153,7 @@ app.get('/', (req, res) => {
     res.json({
         message: 'Real-Time Conference Transcription API',
         endpoints: {
-            'POST /webhook': 'Handle incoming calls, create conference',
+            'POST /webhook': 'Handle incoming calls using the selected call flow (?flow=name)',
             'POST /participant': 'Join second participant to conference',
             'WS /deepgram': 'Audio streaming to Deepgram',
             'GET /health': 'Health check',
@@ -1077,11 +2165,8 @@ app.get('/', (req, res) => {
 
 // Twilio config endpoint for dashboard
 app.get('/twilio-config', (req, res) => {
-    // Force HTTPS for Railway production
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : (req.secure ? 'https' : 'http');
-    const host = req.get('host');
     res.json({
-        webhook_url: `${protocol}://${host}/webhook-hybrid-enhanced`,
+        webhook_url: `${getPublicBaseUrl(req)}/webhook?flow=hybrid-enhanced`,
         environment: process.env.NODE_ENV || 'development',
         status: 'active'
     });
@@ -1093,7 +2178,7 @@ app.get('/test/transcription-priority', (req, res) => {
         primary_service: 'Deepgram',
         services_available: {
             deepgram: !!DEEPGRAM_API_KEY,
-            assemblyai: false
+            assemblyai: usesProvider('assemblyai')
         },
         api_keys: {
             deepgram_configured: !!DEEPGRAM_API_KEY
@@ -1132,24 +2217,10 @@ app.post('/test/ai-processing', (req, res) => {
 app.get('/test/participant', (req, res) => {
     const conferenceId = req.query.conference || 'test-conference-123';
     
-    // Railway always uses HTTPS, force it for production
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : (req.secure ? 'https' : 'http');
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">This is a test of the participant endpoint. Conference ID is ${conferenceId}.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${req.get('host')}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            startConferenceOnEnter="true"
-            beep="false"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
+    const twiml = TwiML.testConferenceResponse(conferenceId, {
+        greeting: `This is a test of the participant endpoint. Conference ID is ${conferenceId}.`,
+        baseUrl: getPublicBaseUrl(req)
+    });
         
     console.log(`🧪 Test participant endpoint called with conference: ${conferenceId}`);
     res.type('text/xml').send(twiml);
@@ -1159,21 +2230,9 @@ app.get('/test/participant', (req, res) => {
 app.post('/test/conference-audio', (req, res) => {
     const conferenceId = req.body.conferenceId || 'test-audio-conf';
     
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Testing audio. You should be able to hear and speak in this conference.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            waitUrl="">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
+    const twiml = TwiML.testConferenceResponse(conferenceId, {
+        greeting: 'Testing audio. You should be able to hear and speak in this conference.'
+    });
         
     console.log(`🎵 Audio test for conference: ${conferenceId}`);
     res.type('text/xml').send(twiml);
@@ -1181,21 +2240,9 @@ app.post('/test/conference-audio', (req, res) => {
 
 // Simple audio test endpoint
 app.get('/test/simple-conference', (req, res) => {
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">You are joining a simple test conference. Speak to test your audio.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            waitUrl="">
-            simple-test-conference
-        </Conference>
-    </Dial>
-</Response>`;
+    const twiml = TwiML.testConferenceResponse('simple-test-conference', {
+        greeting: 'You are joining a simple test conference. Speak to test your audio.'
+    });
         
     console.log(`🧪 Simple conference test accessed`);
     res.type('text/xml').send(twiml);
@@ -1205,688 +2252,33 @@ app.get('/test/simple-conference', (req, res) => {
 app.get('/test/debug-audio/:conferenceId?', (req, res) => {
     const conferenceId = req.params.conferenceId || `debug-${Date.now()}`;
     
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Debug test. Conference ID is ${conferenceId}. You should hear yourself if you call this twice.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="true"
-            muted="false"
-            region="ireland"
-            waitUrl="">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔧 Audio debug test for conference: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-});
-
-// ============================================================================
-// BRIDGE-BASED ALTERNATIVE (Direct call connection)
-// ============================================================================
-
-// Bridge approach - directly connect calls instead of conference
-app.post('/webhook-bridge', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🌉 Bridge approach - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    // Store call info
-    activeConferences.set(CallSid, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        mode: 'bridge'
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Connecting you directly to the other participant.</Say>
-    <Dial>
-        <Number statusCallback="https://real-time-phone-call-agent-production.up.railway.app/call-status">+447494225623</Number>
-    </Dial>
-</Response>`;
-    
-    console.log(`🌉 Bridge TwiML sent for: ${CallSid}`);
-    res.type('text/xml').send(twiml);
-});
-
-// Simple test conference with different settings
-app.get('/test/minimal-conference', (req, res) => {
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Minimal conference test.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="true"
-            beep="false"
-            muted="false">
-            minimal-test-${Date.now()}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🧪 Minimal conference test accessed`);
-    res.type('text/xml').send(twiml);
-});
-
-// Conference with enhanced debugging
-app.post('/webhook-debug', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🔍 DEBUG webhook - Incoming call: ${From} → ${To} (${CallSid})`);
-    console.log(`🔍 Full request body:`, req.body);
-    
-    const conferenceId = `debug-conf-${CallSid}`;
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const host = req.get('host');
-    
-    // Store conference info
-    activeConferences.set(conferenceId, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        participants: 1,
-        debug: true
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Debug conference. You should hear a beep when someone joins.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="true"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔍 Debug conference created: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial with delay
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            console.log(`🔍 DEBUG: Auto-dialing ${process.env.PARTICIPANT_NUMBER}`);
-            dialParticipantDebug(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 3000);
-    }
-});
-
-// Debug auto-dial function
-async function dialParticipantDebug(conferenceId, participantNumber, req) {
-    if (!twilioClient) {
-        console.log('🔍 DEBUG: No Twilio client available');
-        return;
-    }
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-debug?conference=${conferenceId}`;
-        
-        console.log(`🔍 DEBUG: Auto-dialing ${participantNumber} to ${participantUrl}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`🔍 DEBUG: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('🔍 DEBUG: Auto-dial error:', error);
-    }
-}
-
-// Debug participant endpoint
-app.post('/participant-debug', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    const conferenceId = req.query.conference;
-    
-    console.log(`🔍 DEBUG: Participant joining conference ${conferenceId}`);
-    console.log(`🔍 DEBUG: From ${From}, To ${To}, CallSid ${CallSid}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Debug participant joining. Listen for beep.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="true"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔍 DEBUG: Participant TwiML sent`);
-    res.type('text/xml').send(twiml);
-});
-
-// ============================================================================
-// ALTERNATIVE CONFERENCE APPROACH
-// ============================================================================
-
-// Alternative conference approach with different settings
-app.post('/webhook-alt', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🔄 Alternative conference - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `alt-conf-${CallSid}`;
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const host = req.get('host');
-    
-    // Store conference info
-    activeConferences.set(conferenceId, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        participants: 1,
-        alternative: true
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Alternative conference setup. Please wait for the other participant.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="true"
-            beep="true"
-            muted="false"
-            hold="false"
-            region="dublin"
-            record="do-not-record">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔄 Alternative conference created: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant if configured
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantAlt(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 2000);
-    }
-});
-
-// Alternative auto-dial function
-async function dialParticipantAlt(conferenceId, participantNumber, req) {
-    if (!twilioClient) {
-        console.log('🔄 ALT: No Twilio client available');
-        return;
-    }
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-alt?conference=${conferenceId}`;
-        
-        console.log(`🔄 ALT: Auto-dialing ${participantNumber} to ${participantUrl}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`🔄 ALT: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('🔄 ALT: Auto-dial error:', error);
-    }
-}
-
-// Alternative participant endpoint
-app.post('/participant-alt', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    const conferenceId = req.query.conference;
-    
-    console.log(`🔄 ALT: Participant joining conference ${conferenceId}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining alternative conference now.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="true"
-            beep="true"
-            muted="false"
-            hold="false"
-            region="dublin"
-            record="do-not-record">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔄 ALT: Participant TwiML sent`);
-    res.type('text/xml').send(twiml);
-});
-
-// ============================================================================
-// Ultra-minimal conference test (no extra settings)
-app.post('/webhook-minimal', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🏁 MINIMAL webhook - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `minimal-${CallSid}`;
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Minimal conference test.</Say>
-    <Dial>
-        <Conference>${conferenceId}</Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🏁 MINIMAL: Conference created: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantMinimal(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 2000);
-    }
-});
-
-// Minimal auto-dial
-async function dialParticipantMinimal(conferenceId, participantNumber, req) {
-    if (!twilioClient) return;
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-minimal?conference=${conferenceId}`;
-        
-        console.log(`🏁 MINIMAL: Auto-dialing ${participantNumber}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`🏁 MINIMAL: Call created ${call.sid}`);
-            
-        } catch (error) {
-        console.error('🏁 MINIMAL: Error:', error);
-    }
-}
-
-// Minimal participant endpoint
-app.post('/participant-minimal', (req, res) => {
-    const conferenceId = req.query.conference;
-    
-    console.log(`🏁 MINIMAL: Participant joining ${conferenceId}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining minimal conference.</Say>
-    <Dial>
-        <Conference>${conferenceId}</Conference>
-    </Dial>
-</Response>`;
-    
-    res.type('text/xml').send(twiml);
-});
-
-// Force codec test
-app.post('/webhook-codec', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🔊 CODEC test - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `codec-${CallSid}`;
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Codec compatibility test.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            record="false">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔊 CODEC: Conference created: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantCodec(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 3000); // Longer delay
-    }
-});
-
-// Codec auto-dial
-async function dialParticipantCodec(conferenceId, participantNumber, req) {
-    if (!twilioClient) return;
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-codec?conference=${conferenceId}`;
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`🔊 CODEC: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('🔊 CODEC: Error:', error);
-    }
-}
-
-// Codec participant endpoint
-app.post('/participant-codec', (req, res) => {
-    const conferenceId = req.query.conference;
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining codec test conference.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            record="false">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-        
-    res.type('text/xml').send(twiml);
-});
-
-// ============================================================================
-// Carrier compatibility test - force different settings
-app.post('/webhook-carrier', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`📡 CARRIER test - Incoming call: ${From} → ${To} (${CallSid})`);
-    console.log(`📡 CARRIER: Testing ${From} and +447494225623 compatibility`);
-    
-    const conferenceId = `carrier-${CallSid}`;
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Carrier compatibility test. Testing audio between your networks.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            beep="true"
-            waitUrl="">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-        
-    console.log(`📡 CARRIER: Conference created: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial with longer delay to avoid carrier conflicts
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantCarrier(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 5000); // 5-second delay
-    }
-});
-
-// Carrier auto-dial with explicit codec settings
-async function dialParticipantCarrier(conferenceId, participantNumber, req) {
-    if (!twilioClient) return;
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-carrier?conference=${conferenceId}`;
-        
-        console.log(`📡 CARRIER: Auto-dialing ${participantNumber} with 5s delay`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST',
-            // Force specific settings that might help carrier compatibility
-            sendDigits: 'w',  // Wait before proceeding
-            timeout: 60       // Longer timeout
-        });
-        
-        console.log(`📡 CARRIER: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('📡 CARRIER: Error:', error);
-    }
-}
-
-// Carrier participant endpoint with beep confirmation
-app.post('/participant-carrier', (req, res) => {
-    const conferenceId = req.query.conference;
-    
-    console.log(`📡 CARRIER: Participant joining ${conferenceId}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Second participant joining carrier test. Listen for beep.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            beep="true"
-            waitUrl="">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    res.type('text/xml').send(twiml);
-});
-
-// Emergency fallback - Manual bridge test
-app.post('/webhook-emergency', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🚨 EMERGENCY bridge test: ${From} → ${To} (${CallSid})`);
-    
-    // Store call info
-    activeConferences.set(CallSid, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        mode: 'emergency_bridge'
-    });
-    
-    // Broadcast call start to dashboard
-    broadcastTranscript({
-        type: 'call_started',
-        callSid: CallSid,
-        caller: From,
-        mode: 'emergency_bridge',
-        message: 'Emergency bridge call connected',
-        timestamp: new Date().toISOString()
-    });
-    
-    // Direct bridge - no conference, just connect the calls
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Dial timeout="30">
-        <Number>+447494225623</Number>
-    </Dial>
-</Response>`;
-    
-    console.log(`🚨 EMERGENCY: Direct bridge initiated`);
-    res.type('text/xml').send(twiml);
-});
-
-// ============================================================================
-// Hybrid Bridge + Recording approach (BEST OF BOTH WORLDS)
-app.post('/webhook-hybrid', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🔄 HYBRID approach - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    // Store call info for recording processing
-    activeConferences.set(CallSid, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        mode: 'hybrid'
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Hybrid system. You'll have real-time conversation, with transcription available after the call.</Say>
-    <Dial record="record-from-start" 
-          recordingStatusCallback="https://real-time-phone-call-agent-production.up.railway.app/recording-complete"
-          timeout="30">
-        <Number>+447494225623</Number>
-    </Dial>
-    <Say voice="alice">Call completed. Processing transcription.</Say>
-</Response>`;
-    
-    console.log(`🔄 HYBRID: Bridge + Recording initiated for ${CallSid}`);
-    res.type('text/xml').send(twiml);
-});
-
-// Conference + Recording approach (Real-time + Post-call accuracy)
-app.post('/webhook-conference-record', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`📼 CONFERENCE+RECORD - Incoming call: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `rec-conf-${CallSid}`;
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const host = req.get('host');
-    
-    // Store conference info
-    activeConferences.set(conferenceId, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        participants: 1,
-        mode: 'conference_with_recording'
+    const twiml = TwiML.testConferenceResponse(conferenceId, {
+        greeting: `Debug test. Conference ID is ${conferenceId}. You should hear yourself if you call this twice.`,
+        beep: true
     });
     
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Conference with recording. You'll get live transcription plus high-accuracy results after the call.</Say>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            record="record-from-start"
-            recordingStatusCallback="${protocol}://${host}/recording-complete"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            maxParticipants="10">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`📼 CONFERENCE+RECORD: Created ${conferenceId}`);
+    console.log(`🔧 Audio debug test for conference: ${conferenceId}`);
     res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant if configured
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantRecord(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 2000);
-    }
 });
 
-// Auto-dial for recording conference
-async function dialParticipantRecord(conferenceId, participantNumber, req) {
-    if (!twilioClient) return;
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-record?conference=${conferenceId}`;
-        
-        console.log(`📼 RECORD: Auto-dialing ${participantNumber}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`📼 RECORD: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('📼 RECORD: Error:', error);
-    }
-}
-
-// Participant endpoint for recording conference
-app.post('/participant-record', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    const conferenceId = req.query.conference;
-    
-    console.log(`📼 RECORD: Participant joining ${conferenceId}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining recorded conference.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
+// Simple test conference with different settings
+app.get('/test/minimal-conference', (req, res) => {
+    const twiml = TwiML.testConferenceResponse(`minimal-test-${Date.now()}`, {
+        greeting: 'Minimal conference test.',
+        endConferenceOnExit: true
+    });
     
+    console.log(`🧪 Minimal conference test accessed`);
     res.type('text/xml').send(twiml);
 });
 
 // Handle recording completion
-app.post('/recording-complete', (req, res) => {
+app.post('/recording-complete', validateTwilioRequest, (req, res) => {
     console.log('🎉 RECORDING WEBHOOK CALLED! (New Conference Approach)');
     console.log('📞 Headers:', req.headers);
     console.log('📞 Body:', JSON.stringify(req.body, null, 2));
     
-    const { CallSid, RecordingUrl, RecordingSid, RecordingDuration, RecordingStatus, ConferenceSid } = req.body;
+    const { CallSid, RecordingUrl, RecordingSid, RecordingDuration, RecordingStatus, ConferenceSid, RecordingStartTime } = req.body;
     
     console.log(`🎬 Recording details:`);
     console.log(`  - CallSid: ${CallSid}`);
@@ -1932,7 +2324,23 @@ app.post('/recording-complete', (req, res) => {
     if (RecordingUrl) {
         console.log(`🎯 Starting multi-service transcription for ${RecordingSid}`);
         console.log(`🎯 This proves the recording webhook is working!`);
-        processRecordingMultiService(RecordingUrl, CallSid || ConferenceSid, RecordingSid);
+        if (req.query.speakers) {
+            // Dual-channel recording - the callback URL says whose voice is on which channel
+            const phones = String(req.query.phones || '').split(',');
+            recordingJobs.enqueue({
+                id: RecordingSid,
+                kind: 'channels',
+                recordingUrl: RecordingUrl,
+                callSid: CallSid || ConferenceSid,
+                meta: {
+                    group: req.query.group || CallSid || ConferenceSid,
+                    channels: String(req.query.speakers).split(',').map((speaker, channel) => ({ channel, speaker, phone: phones[channel] || null })),
+                    startedAt: (RecordingStartTime ? new Date(RecordingStartTime) : new Date()).toISOString()
+                }
+            });
+        } else {
+            recordingJobs.enqueue({ id: RecordingSid, recordingUrl: RecordingUrl, callSid: CallSid || ConferenceSid });
+        }
     } else {
         console.log(`⚠️ No recording URL provided`);
         
@@ -1949,6 +2357,257 @@ app.post('/recording-complete', (req, res) => {
     res.sendStatus(200);
 });
 
+// ============================================================================
+// VOICEMAIL
+// ============================================================================
+
+// <Record> action - caller finished (or hit maxLength), thank them and hang up
+app.post('/voicemail-complete', validateTwilioRequest, (req, res) => {
+    const { CallSid, RecordingDuration } = req.body;
+    const flow = getCallFlow(req.query.flow) || resolveCallFlow();
+
+    console.log(`📮 Voicemail finished: ${CallSid} (${RecordingDuration || '?'}s)`);
+    res.type('text/xml').send(TwiML.sayAndHangup(flow.voicemail.closingMessage, flow.voice));
+});
+
+// Recording status callback - transcribe the message and publish it as a voicemail event
+app.post('/voicemail-recording', validateTwilioRequest, (req, res) => {
+    const { CallSid, RecordingUrl, RecordingSid, RecordingDuration, RecordingStatus } = req.body;
+    const { caller, conference } = req.query;
+
+    console.log(`📮 Voicemail recording ${RecordingSid} (${RecordingStatus}) from ${caller || 'unknown'}: ${RecordingDuration}s`);
+    res.sendStatus(200);
+
+    if (!RecordingUrl || RecordingStatus !== 'completed') {
+        console.log(`⚠️ Voicemail recording ${RecordingSid} not usable (status: ${RecordingStatus})`);
+        return;
+    }
+
+    recordingJobs.enqueue({
+        id: RecordingSid,
+        kind: 'voicemail',
+        recordingUrl: RecordingUrl,
+        callSid: CallSid,
+        meta: {
+            caller: caller || null,
+            conference: conference || null,
+            duration: parseInt(RecordingDuration, 10) || 0
+        }
+    });
+});
+
+// A voicemail job finished (result is null if it never transcribed) - broadcast + webhook it
+function publishVoicemail(job, result) {
+    const voicemail = job.meta;
+
+    const voicemailData = {
+        type: 'voicemail',
+        callSid: job.callSid,
+        conference: voicemail.conference,
+        caller: voicemail.caller,
+        recordingSid: job.id,
+        recordingUrl: job.recordingUrl,
+        duration: voicemail.duration,
+        transcript: result ? result.text : null,
+        confidence: result ? result.confidence : null,
+        services_used: result ? result.services_used : [],
+        menu_selection: getMenuSelection(job.callSid, voicemail.conference),
+        consent: getConsent(job.callSid, voicemail.conference),
+        routing: routingDecisions.get(job.callSid) || null,
+        timestamp: new Date().toISOString()
+    };
+
+    console.log(`📮 Voicemail from ${voicemail.caller || 'unknown'}: "${voicemailData.transcript || '(no transcript)'}"`);
+    broadcastTranscript(voicemailData);
+
+    if (process.env.WEBHOOK_URL) {
+        sendToWebhook(voicemailData);
+    }
+}
+
+// ============================================================================
+// RECORDING JOBS
+// ============================================================================
+
+// One attempt at a queued recording - throwing gets it retried with backoff
+async function runRecordingJob(job) {
+    if (job.kind === 'find') {
+        return findCallRecording(job);
+    }
+    if (job.kind === 'channels') {
+        return processChannelRecording(job);
+    }
+    
+    const result = await processRecordingMultiService(job.recordingUrl, job.callSid, job.kind === 'capture' ? null : job.id, {
+        singleSpeaker: job.kind === 'voicemail' ? 'caller' : null,
+        useCapture: job.kind !== 'voicemail',
+        // publishVoicemail sends the voicemail's only webhook
+        webhook: job.kind !== 'voicemail'
+    });
+    if (!result) {
+        throw new Error('No speech-to-text provider produced a transcript');
+    }
+    
+    if (job.kind === 'voicemail') {
+        publishVoicemail(job, result);
+    }
+    return { text: result.text, confidence: result.confidence, services_used: result.services_used };
+}
+
+// Job progress goes to the dashboard; a voicemail that never transcribes is still delivered
+recordingJobs.on('job', (job) => {
+    broadcastTranscript({
+        type: 'recording_job',
+        id: job.id,
+        kind: job.kind,
+        callSid: job.callSid,
+        status: job.status,
+        attempts: job.attempts,
+        nextAttemptAt: job.nextAttemptAt,
+        error: job.lastError,
+        timestamp: job.updatedAt
+    });
+    
+    if (job.kind === 'voicemail' && job.status === 'failed') {
+        publishVoicemail(job, null);
+    }
+    if (job.kind === 'find' && job.status === 'failed') {
+        broadcastTranscript({
+            type: 'transcription_error',
+            callSid: job.callSid,
+            message: `No recording found for this call (${job.lastError})`,
+            timestamp: job.updatedAt
+        });
+    }
+    if (job.kind === 'channels' && (job.status === 'completed' || job.status === 'failed')) {
+        publishChannelTranscript(job.meta.group);
+    }
+});
+
+// Dual-channel recording - every channel is one person, transcribed on its own by every provider.
+// Resolves to the job result publishChannelTranscript merges: each channel's lines in recording time.
+async function processChannelRecording(job) {
+    const { channels, startedAt } = job.meta;
+    console.log(`🎯 Per-channel transcription for recording ${job.id}: ${channels.map(channel => `${channel.speaker} ${channel.phone || ''}`.trim()).join(' / ')}`);
+    
+    // Splitting needs the WAV - Twilio serves that when the URL has no extension
+    const wavUrl = /\.[a-z0-9]+$/i.test(new URL(job.recordingUrl).pathname) ? job.recordingUrl : `${job.recordingUrl}.wav`;
+    const channelAudio = splitChannels(await downloadRecording(wavUrl, { waitMs: RECORDING_POLL.timeoutMs }));
+    
+    const results = [];
+    for (const { channel, speaker, phone } of channels) {
+        if (!channelAudio[channel]) {
+            console.log(`⚠️ Recording ${job.id} has no channel ${channel + 1} (${speaker})`);
+            continue;
+        }
+        
+        const { fusedResult, individualResults } = await transcribeWithProviders({ audio: channelAudio[channel] });
+        results.push({
+            channel,
+            speaker,
+            phone,
+            text: fusedResult ? fusedResult.text : '',
+            confidence: fusedResult ? fusedResult.confidence : null,
+            services_used: fusedResult ? fusedResult.services_used : [],
+            lines: fusedResult ? channelLines(fusedResult, individualResults) : []
+        });
+    }
+    
+    return { startedAt, channels: results };
+}
+
+// One channel's turns - the diarized utterances if an engine gave them, else the whole text as one
+function channelLines(fusedResult, individualResults) {
+    const diarized = fusedResult.services_used
+        .map(name => individualResults[name])
+        .find(result => result && result.utterances && result.utterances.length > 0);
+    if (diarized) {
+        return diarized.utterances.map(({ start, end, text, confidence }) => ({ start, end, text, confidence }));
+    }
+    
+    const words = fusedResult.words || [];
+    return [{
+        start: words.length > 0 ? words[0].start : 0,
+        end: words.length > 0 ? words[words.length - 1].end : 0,
+        text: fusedResult.text,
+        confidence: fusedResult.confidence
+    }];
+}
+
+// Once every leg of a call is transcribed, merge the channels into one timeline (seconds from the
+// first leg's recording start), each line tagged with the speaker's phone number
+function publishChannelTranscript(groupId) {
+    const group = channelRecordings.get(groupId);
+    const jobs = recordingJobs.list().filter(job => job.kind === 'channels' && job.meta.group === groupId);
+    const finished = jobs.filter(job => job.status === 'completed' || job.status === 'failed');
+    if ((group && group.published) || finished.length < Math.max(jobs.length, group ? group.expected : 0)) {
+        return;
+    }
+    if (group) {
+        group.published = true;
+    }
+    
+    const completed = finished.filter(job => job.status === 'completed' && job.result);
+    const callSid = group ? group.callSid : jobs[0].callSid;
+    if (completed.length === 0) {
+        broadcastTranscript({
+            type: 'transcription_error',
+            callSid: callSid,
+            message: `No channel of ${groupId} could be transcribed`,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+    
+    const { channels, utterances } = mergeChannels(completed.map(job => ({ recordingSid: job.id, ...job.result })));
+    
+    const transcriptData = {
+        type: 'final_transcript_multiservice',
+        callSid: callSid,
+        conference: groupId,
+        recordingSid: completed[0].id,
+        recordingSids: completed.map(job => job.id),
+        text: utterances.map(utterance => utterance.text).join(' '),
+        confidence: utterances.length > 0
+            ? utterances.reduce((sum, utterance) => sum + (utterance.confidence || 0), 0) / utterances.length
+            : 0,
+        accuracy_type: 'multi_service_per_channel',
+        audio_source: 'twilio_recording',
+        services_used: [...new Set([].concat(...channels.map(channel => channel.services_used)))],
+        source: 'channels',
+        utterances,
+        speaker_attribution: { method: 'channels', service: null },
+        conversation: formatConversation(utterances),
+        channels,
+        complete: completed.length === finished.length,
+        menu_selection: getMenuSelection(callSid, groupId),
+        consent: getConsent(callSid, groupId),
+        timestamp: new Date().toISOString()
+    };
+    
+    console.log(`✅ Per-channel transcript ready for ${groupId}: ${channels.length} channels, ${utterances.length} lines${transcriptData.complete ? '' : ' (some legs failed)'}`);
+    broadcastTranscript(transcriptData);
+    if (process.env.WEBHOOK_URL) {
+        sendToWebhook(transcriptData);
+    }
+}
+
+app.get('/recording-jobs', (req, res) => {
+    res.json({
+        stats: recordingJobs.stats(),
+        jobs: recordingJobs.list({ status: req.query.status || null }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/recording-jobs/:id', (req, res) => {
+    const job = recordingJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `No recording job "${req.params.id}"` });
+    }
+    res.json(job);
+});
+
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
@@ -1962,8 +2621,12 @@ server.listen(PORT, () => {
     console.log(`📱 Auto-dial participant: ${PARTICIPANT_NUMBER || 'Not configured'}`);
     console.log(`🎯 Auto-dial status: ${(twilioClient && PARTICIPANT_NUMBER) ? 'ENABLED' : 'DISABLED'}`);
     console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 Public base URL: ${PUBLIC_BASE_URL || 'derived from request (set PUBLIC_BASE_URL)'}`);
     console.log(`✅ Ready for Twilio webhook integration`);
     
+    // Pick up recording jobs the last run didn't finish
+    recordingJobs.start();
+    
     // Start cleanup timer for stuck calls
     startCallCleanupTimer();
 });
@@ -2001,136 +2664,123 @@ function startCallCleanupTimer() {
             
             console.log(`🧹 Auto-cleanup completed: Removed ${keysToDelete.length} stale calls`);
         }
+        
+        // Consent and routing outlive the call so post-call payloads can still report them, but not forever
+        for (const [key, consent] of consentRecords.entries()) {
+            if (now - new Date(consent.timestamp) > 2 * 60 * 60 * 1000) {
+                consentRecords.delete(key);
+            }
+        }
+        for (const [key, menuSelection] of menuSelections.entries()) {
+            if (now - new Date(menuSelection.selectedAt) > 2 * 60 * 60 * 1000) {
+                menuSelections.delete(key);
+            }
+        }
+        for (const [callSid, routing] of routingDecisions.entries()) {
+            if (now - new Date(routing.evaluatedAt) > 2 * 60 * 60 * 1000) {
+                routingDecisions.delete(callSid);
+            }
+        }
+        for (const [key, group] of channelRecordings.entries()) {
+            if (now - group.createdAt > 2 * 60 * 60 * 1000) {
+                channelRecordings.delete(key);
+            }
+        }
+        for (const [key, timeline] of speakerTimelines.entries()) {
+            if (now - timeline.streamStartedAt > 2 * 60 * 60 * 1000) {
+                speakerTimelines.delete(key);
+            }
+        }
+        for (const [key, sentAt] of watchlistAlerts.entries()) {
+            if (now - sentAt > 2 * 60 * 60 * 1000) {
+                watchlistAlerts.delete(key);
+            }
+        }
+        // Only the in-memory index - the WAV files themselves stay in CALL_AUDIO_DIR
+        for (const [key, capture] of callAudioCaptures.entries()) {
+            if (now - capture.startedAt > 2 * 60 * 60 * 1000) {
+                callAudioCaptures.delete(key);
+            }
+        }
     }, 60000); // Check every minute
     
     console.log('🕒 Started call cleanup timer (checks every 60s, removes calls older than 10min)');
 }
 
-// Auto-dial participant to recording conference
-async function dialParticipantToRecordingConference(conferenceId, participantNumber, req) {
+// Record one conference leg in dual channel as it joins. The first channel is that leg's own
+// voice; the callback URL carries who it is, with the number from the leg's call record.
+async function startLegRecording(conf, conferenceId, callSid, baseUrl) {
     if (!twilioClient) {
-        console.log('⚠️ No Twilio client available for auto-dial');
+        console.log(`⚠️ No Twilio client - can't record ${conferenceId} legs separately`);
         return;
     }
     
+    const speaker = callSid === conf.callSid ? 'caller' : 'participant';
     try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/join-recording-conference?conference=${conferenceId}`;
+        const call = await twilioClient.calls(callSid).fetch();
+        const phone = speaker === 'caller' ? conf.caller : (call.direction === 'inbound' ? call.from : call.to);
         
-        console.log(`📞 Auto-dialing ${participantNumber} to recording conference ${conferenceId}`);
-        console.log(`📞 Participant URL: ${participantUrl}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
+        const recording = await twilioClient.calls(callSid).recordings.create({
+            recordingChannels: 'dual',
+            recordingStatusCallback: `${baseUrl}/recording-complete?${new URLSearchParams({ group: conferenceId, speakers: speaker, phones: phone || '' })}`,
+            recordingStatusCallbackEvent: ['completed']
         });
         
-        console.log(`✅ Auto-dial initiated: ${call.sid} → ${participantNumber}`);
-        
+        const group = channelRecordings.get(conferenceId) || { callSid: conf.callSid, expected: 0, published: false, createdAt: Date.now() };
+        group.expected++;
+        channelRecordings.set(conferenceId, group);
+        console.log(`🎙️ Recording ${speaker} leg ${callSid} (${phone || 'unknown number'}) of ${conferenceId} separately: ${recording.sid}`);
     } catch (error) {
-        console.error('❌ Auto-dial error:', error);
+        console.error(`❌ Couldn't record ${speaker} leg ${callSid} of ${conferenceId}:`, error.message);
     }
 }
 
-// Participant endpoint for recording conference
-app.post('/join-recording-conference', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    const conferenceId = req.query.conference;
-    
-    console.log(`👥 Participant joining recording conference: ${conferenceId}`);
-    console.log(`📞 From: ${From}, To: ${To}, CallSid: ${CallSid}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`👥 Participant TwiML sent for conference: ${conferenceId}`);
-    res.type('text/xml').send(twiml);
-});
-
-// Check for recordings using Twilio API when webhook fails
-async function checkAndProcessRecording(callSid, callInfo) {
+// 'find' job for a recorded call that ended - look its recording up in the Twilio API and queue
+// it. Twilio can list a recording a while after the call ends, so throwing has the queue look
+// again with backoff; if the recording webhook already queued it, queueing again is a no-op.
+async function findCallRecording(job) {
     if (!twilioClient) {
-        console.log('⚠️ No Twilio client available for recording check');
-        return;
+        throw new Error('No Twilio client available for recording check');
     }
     
-    try {
-        console.log(`🔍 Checking for recordings for call: ${callSid}`);
-        
-        // Fetch recordings for this call
-        const recordings = await twilioClient.recordings.list({
-            callSid: callSid,
-            limit: 10
-        });
-        
-        console.log(`📼 Found ${recordings.length} recordings for call ${callSid}`);
-        
-        if (recordings.length > 0) {
-            // Process the most recent recording
-            const recording = recordings[0];
-            const recordingUrl = `https://api.twilio.com${recording.uri.replace('.json', '.mp3')}`;
-            
-            console.log(`🎬 Processing recording: ${recording.sid}`);
-            console.log(`📼 Recording URL: ${recordingUrl}`);
-            console.log(`⏱️ Duration: ${recording.duration} seconds`);
-            
-            // Broadcast that we found the recording
-            broadcastTranscript({
-                type: 'call_ended',
-            callSid: callSid,
-                recordingSid: recording.sid,
-                duration: recording.duration,
-                message: 'Recording found - Processing transcription...',
-            timestamp: new Date().toISOString()
-            });
-            
-            // Process the recording
-            console.log(`🎯 Starting multi-service transcription for ${recording.sid}`);
-            processRecordingMultiService(recordingUrl, callSid, recording.sid);
-            
-        } else {
-            console.log(`⚠️ No recordings found for call ${callSid}`);
-            
-            // Broadcast that no recording was found
-            broadcastTranscript({
-                type: 'transcription_error',
-                callSid: callSid,
-                message: 'No recording found for this call',
-                timestamp: new Date().toISOString()
-            });
-        }
-        
-    } catch (error) {
-        console.error(`❌ Error checking for recordings: ${error.message}`);
-        
-        // Broadcast error
-        broadcastTranscript({
-            type: 'transcription_error',
-            callSid: callSid,
-            message: `Failed to check for recordings: ${error.message}`,
-            timestamp: new Date().toISOString()
-        });
+    console.log(`🔍 Checking for recordings for call: ${job.callSid}`);
+    const recordings = await twilioClient.recordings.list({
+        callSid: job.callSid,
+        limit: 10
+    });
+    console.log(`📼 Found ${recordings.length} recordings for call ${job.callSid}`);
+    
+    if (recordings.length === 0) {
+        throw new Error(`No recording listed for call ${job.callSid} yet`);
     }
+    
+    // Process the most recent recording
+    const recording = recordings[0];
+    const recordingUrl = `https://api.twilio.com${recording.uri.replace('.json', '.mp3')}`;
+    
+    console.log(`🎬 Processing recording: ${recording.sid}`);
+    console.log(`📼 Recording URL: ${recordingUrl}`);
+    console.log(`⏱️ Duration: ${recording.duration} seconds`);
+    
+    // Broadcast that we found the recording
+    broadcastTranscript({
+        type: 'call_ended',
+        callSid: job.callSid,
+        recordingSid: recording.sid,
+        duration: recording.duration,
+        message: 'Recording found - Processing transcription...',
+        timestamp: new Date().toISOString()
+    });
+    
+    recordingJobs.enqueue({ id: recording.sid, recordingUrl, callSid: job.callSid });
+    return { recordingSid: recording.sid };
 }
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🛑 Shutting down gracefully...');
-    server.close(() => {
+    server.close(async () => {
+        await recordingJobs.stop();
         console.log('✅ Server closed');
         process.exit(0);
     });
@@ -2138,7 +2788,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('🛑 Received SIGINT, shutting down...');
-    server.close(() => {
+    server.close(async () => {
+        await recordingJobs.stop();
         console.log('✅ Server closed');
         process.exit(0);
     });
@@ -2178,6 +2829,7 @@ function handleDashboard(ws) {
         callSid: call.callSid,
         caller: call.caller,
         mode: call.mode,
+        routingRule: call.routing ? call.routing.rule : null,
         startTime: call.startTime,
         duration: Math.floor((new Date() - call.startTime) / 1000)
     }));
@@ -2187,36 +2839,23 @@ function handleDashboard(ws) {
         message: 'Connected to real-time transcription dashboard',
         activeConferences: activeConferences.size,
         activeCalls: activeCalls,
-        multiServiceActive: !!assemblyai,
+        multiServiceActive: multiServiceEnabled,
         timestamp: new Date().toISOString()
     }));
 }
 
-// Fallback single-service processing
-async function processRecording(recordingUrl, callSid, recordingSid) {
+// Fallback single-service processing - the primary batch provider on its own, on the audio the
+// multi-service attempt already got (audioSource says where it came from). If that attempt failed
+// before it had the audio, the recording is downloaded here.
+async function processRecording(recordingUrl, callSid, recordingSid, audio = null, { singleSpeaker = null, audioSource = 'twilio_recording', webhook = true } = {}) {
     try {
         console.log(`🎙️ Fallback transcription for recording: ${recordingSid}`);
         
-        // Download recording from Twilio
-        const response = await fetch(recordingUrl);
-        const audioBuffer = await response.arrayBuffer();
-        
-        // Send to Deepgram for transcription
-        const transcription = await deepgram.listen.prerecorded.transcribeFile(
-            audioBuffer,
-            {
-                model: 'nova-2',
-                language: 'en-GB',
-                smart_format: true,
-                punctuate: true,
-                diarize: true,
-                utterances: true,
-                detect_language: false
-            }
-        );
-        
-        const transcript = transcription.result.results.channels[0].alternatives[0].transcript;
-        const confidence = transcription.result.results.channels[0].alternatives[0].confidence;
+        if (!audio && recordingUrl && batchProviders[0].transcribeFile) {
+            audio = await downloadRecording(recordingUrl, { waitMs: RECORDING_POLL.timeoutMs });
+        }
+        const result = await transcribeRecording(batchProviders[0], { url: recordingUrl, audio });
+        const { text: transcript, confidence } = result;
         
         console.log(`✅ Fallback transcript ready (${Math.round(confidence * 100)}% confidence):`);
         console.log(`📝 "${transcript}"`);
@@ -2229,188 +2868,22 @@ async function processRecording(recordingUrl, callSid, recordingSid) {
             text: transcript,
             confidence: confidence,
             accuracy_type: 'single_service_fallback',
+            audio_source: audioSource,
+            services_used: [batchProviders[0].name],
+            ...buildSpeakerTranscript(callSid, result, { audioSource, singleSpeaker }),
+            menu_selection: getMenuSelection(callSid),
+            consent: getConsent(callSid),
                     timestamp: new Date().toISOString()
         };
         
         broadcastTranscript(transcriptData);
+        if (webhook && process.env.WEBHOOK_URL) {
+            sendToWebhook(transcriptData);
+        }
+        return transcriptData;
         
     } catch (error) {
         console.error('❌ Fallback transcription error:', error);
+        return null;
     }
 }
-
-// ============================================================================
-// MULTI-SERVICE CONFERENCE ENDPOINTS
-// ============================================================================
-
-// Enhanced conference with multi-service transcription
-app.post('/webhook-enhanced', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🚀 ENHANCED multi-service webhook: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `enhanced-${CallSid}`;
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const host = req.get('host');
-    const streamUrl = `${protocol === 'https' ? 'wss' : 'ws'}://${host}/deepgram?conference=${conferenceId}`;
-    
-    // Store conference info
-    activeConferences.set(conferenceId, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        participants: 1,
-        enhanced: true,
-        multiService: assemblyai ? true : false
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Enhanced transcription conference${assemblyai ? ' with multi-service AI' : ' with optimized Deepgram'}. Starting real-time transcription.</Say>
-    <Start>
-        <Stream url="${streamUrl}" />
-    </Start>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            record="record-from-start"
-            recordingStatusCallback="${protocol}://${host}/recording-complete"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            maxParticipants="10">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🚀 Enhanced conference created: ${conferenceId}`);
-    console.log(`🎯 Multi-service: ${assemblyai ? 'YES' : 'NO'} | Real-time: YES | Recording: YES`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant if configured
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantEnhanced(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 2000);
-    }
-});
-
-// Enhanced auto-dial function
-async function dialParticipantEnhanced(conferenceId, participantNumber, req) {
-    if (!twilioClient) {
-        console.log('🚀 ENHANCED: No Twilio client available');
-        return;
-    }
-    
-    try {
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-        const host = req.get('host');
-        const participantUrl = `${protocol}://${host}/participant-enhanced?conference=${conferenceId}`;
-        
-        console.log(`🚀 ENHANCED: Auto-dialing ${participantNumber} to ${participantUrl}`);
-        
-        const call = await twilioClient.calls.create({
-            to: participantNumber,
-            from: process.env.TWILIO_PHONE_NUMBER || '+441733964789',
-            url: participantUrl,
-            method: 'POST'
-        });
-        
-        console.log(`🚀 ENHANCED: Call created ${call.sid}`);
-        
-    } catch (error) {
-        console.error('🚀 ENHANCED: Auto-dial error:', error);
-    }
-}
-
-// Enhanced participant endpoint
-app.post('/participant-enhanced', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    const conferenceId = req.query.conference;
-    
-    console.log(`🚀 ENHANCED: Participant joining ${conferenceId}`);
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say voice="alice">Joining enhanced transcription conference.</Say>
-    <Dial>
-        <Conference 
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🚀 ENHANCED: Participant TwiML sent`);
-    res.type('text/xml').send(twiml);
-});
-
-// Hybrid enhanced: Conference + Multi-service recording (NEW APPROACH)
-app.post('/webhook-hybrid-enhanced', (req, res) => {
-    const { CallSid, From, To } = req.body;
-    console.log(`🔥 HYBRID ENHANCED CONFERENCE: ${From} → ${To} (${CallSid})`);
-    
-    const conferenceId = `rec-${CallSid}`;
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const host = req.get('host');
-    
-    // Store call info for enhanced processing
-    activeConferences.set(conferenceId, {
-        callSid: CallSid,
-        caller: From,
-        startTime: new Date(),
-        mode: 'hybrid_enhanced_conference',
-        multiService: assemblyai ? true : false,
-        needsRecording: true,
-        conferenceId: conferenceId
-    });
-    
-    // Broadcast call start to dashboard
-    broadcastTranscript({
-        type: 'call_started',
-        callSid: CallSid,
-        caller: From,
-        mode: 'hybrid_enhanced_conference',
-        message: 'Conference call with recording started',
-        timestamp: new Date().toISOString()
-    });
-    
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Dial>
-        <Conference 
-            statusCallback="${protocol}://${host}/conference-events"
-            statusCallbackEvent="start,end,join,leave"
-            record="record-from-start"
-            recordingStatusCallback="${protocol}://${host}/recording-complete"
-            recordingStatusCallbackEvent="completed"
-            startConferenceOnEnter="true"
-            endConferenceOnExit="false"
-            beep="false"
-            muted="false"
-            region="ireland"
-            maxParticipants="10">
-            ${conferenceId}
-        </Conference>
-    </Dial>
-</Response>`;
-    
-    console.log(`🔥 CONFERENCE RECORDING: ${conferenceId}`);
-    console.log(`🔥 Recording callback: ${protocol}://${host}/recording-complete`);
-    console.log(`🔥 TwiML sent for conference recording approach`);
-    res.type('text/xml').send(twiml);
-    
-    // Auto-dial participant to same conference after short delay
-    if (process.env.PARTICIPANT_NUMBER) {
-        setTimeout(() => {
-            dialParticipantToRecordingConference(conferenceId, process.env.PARTICIPANT_NUMBER, req);
-        }, 2000);
-    }
-});
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createVoiceAgent } = require('../lib/agent');
+
+// An agent whose opening line is playing - 1s of audio, nothing played yet
+async function playingAgent(settings) {
+    const sent = [];
+    const agent = createVoiceAgent({
+        generator: { name: 'test', respond: async () => ({ text: 'Sure, one moment.' }) },
+        tts: { name: 'test', synthesize: async () => Buffer.alloc(8000, 0xff) },
+        sendMessage: message => sent.push(message),
+        callSid: 'CA1',
+        settings: { openingLine: 'Hi there, how can I help you today?', ...settings }
+    });
+    const interruptions = [];
+    agent.on('interrupted', event => interruptions.push(event));
+
+    agent.start('MZ1');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(sent.some(message => message.event === 'media'));
+    return { agent, sent, interruptions };
+}
+
+const cleared = sent => sent.filter(message => message.event === 'clear').length;
+
+test('speech_started barges in when bargeInMinWords is 0', async () => {
+    const { agent, sent, interruptions } = await playingAgent({ bargeInMinWords: 0 });
+    agent.speechStarted();
+    assert.strictEqual(cleared(sent), 1);
+    assert.strictEqual(interruptions[0].reason, 'speech_started');
+    agent.close();
+});
+
+test('short interims and finals don\'t barge in below bargeInMinWords', async () => {
+    const { agent, sent, interruptions } = await playingAgent({ bargeInMinWords: 3 });
+    agent.speechStarted();
+    agent.hearInterim('uh');
+    agent.hear('uh');
+    assert.strictEqual(cleared(sent), 0);
+    assert.strictEqual(interruptions.length, 0);
+
+    agent.hear('wait stop there');
+    assert.strictEqual(cleared(sent), 1);
+    assert.strictEqual(interruptions[0].reason, 'final');
+    agent.close();
+});
+
+test('a long enough interim barges in before the final', async () => {
+    const { agent, interruptions } = await playingAgent({ bargeInMinWords: 2 });
+    agent.hearInterim('hold on');
+    assert.strictEqual(interruptions.length, 1);
+    assert.strictEqual(interruptions[0].reason, 'interim');
+    agent.close();
+});
+
+test('bargeIn off never interrupts', async () => {
+    const { agent, sent } = await playingAgent({ bargeIn: false });
+    agent.speechStarted();
+    agent.hear('stop stop stop');
+    assert.strictEqual(cleared(sent), 0);
+    agent.close();
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { createCallCapture, mixTracks, readWav } = require('../lib/call-audio');
+const { linearToMulaw, mulawToLinear } = require('../lib/g711');
+
+const MULAW_8K = { encoding: 'mulaw', sampleRate: 8000, channels: 1, bytesPerSample: 1 };
+const TRACKS = [{ track: 'inbound', speaker: 'caller' }, { track: 'outbound', speaker: 'participant' }];
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'call-audio-'));
+}
+
+// One 20ms mu-law frame of a constant sample
+function frame(sample) {
+    return Buffer.alloc(160, linearToMulaw(sample));
+}
+
+test('captured tracks are WAV files with real sizes and silence where frames were missing', async () => {
+    const dir = tempDir();
+    const capture = createCallCapture({ dir, callId: 'CA1', audioFormat: MULAW_8K, tracks: TRACKS });
+
+    // Caller: frames at 0ms and 40ms (one frame dropped). Participant: starts 20ms late.
+    capture.write('inbound', frame(1000), 0);
+    capture.write('inbound', frame(-2000), 40);
+    capture.write('outbound', frame(500), 20);
+    const files = await capture.close();
+
+    assert.deepStrictEqual(files.caller, { path: path.join(dir, 'CA1-caller.wav'), seconds: 0.06, paddedSeconds: 0.02 });
+    assert.deepStrictEqual(files.participant, { path: path.join(dir, 'CA1-participant.wav'), seconds: 0.04, paddedSeconds: 0.02 });
+
+    const raw = fs.readFileSync(files.caller.path);
+    assert.strictEqual(raw.length, 44 + 480);
+    assert.strictEqual(raw.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(raw.readUInt32LE(4), 36 + 480);
+    assert.strictEqual(raw.readUInt16LE(20), 7);            // mu-law
+    assert.strictEqual(raw.readUInt32LE(40), 480);
+
+    const { audioFormat, data } = await readWav(files.caller.path);
+    assert.deepStrictEqual(audioFormat, MULAW_8K);
+    const samples = [...data].map(mulawToLinear);
+    assert.deepStrictEqual([samples[0], samples[159]], [mulawToLinear(linearToMulaw(1000)), mulawToLinear(linearToMulaw(1000))]);
+    assert.ok(samples.slice(160, 320).every(sample => sample === 0), 'the dropped frame is silence');
+    assert.strictEqual(samples[320], mulawToLinear(linearToMulaw(-2000)));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('mixing sums the tracks sample by sample into 16-bit WAV', async () => {
+    const dir = tempDir();
+    const capture = createCallCapture({ dir, callId: 'CA2', audioFormat: MULAW_8K, tracks: TRACKS });
+    capture.write('inbound', frame(1000), 0);
+    capture.write('inbound', frame(1000), 20);
+    capture.write('outbound', frame(-300), 20);
+    const files = await capture.close();
+
+    const mixed = await mixTracks([files.caller.path, files.participant.path]);
+    assert.strictEqual(mixed.readUInt16LE(20), 1);          // linear PCM
+    assert.strictEqual(mixed.readUInt16LE(34), 16);
+    assert.strictEqual(mixed.readUInt32LE(40), 320 * 2);
+
+    const caller = mulawToLinear(linearToMulaw(1000));
+    const participant = mulawToLinear(linearToMulaw(-300));
+    const sample = i => mixed.readInt16LE(44 + i * 2);
+    assert.strictEqual(sample(0), caller);                  // Participant not there yet (silence)
+    assert.strictEqual(sample(200), caller + participant);
+    assert.strictEqual(sample(319), caller + participant);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a track whose writes failed is not reported as complete', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'CA3-caller.wav'), '');
+
+    // A disk that fills up: every write fails
+    const createWriteStream = fs.createWriteStream;
+    fs.createWriteStream = () => new Writable({ write: (chunk, encoding, callback) => callback(new Error('ENOSPC: no space left on device')) });
+    let capture;
+    try {
+        capture = createCallCapture({ dir, callId: 'CA3', audioFormat: MULAW_8K, tracks: TRACKS.slice(0, 1) });
+    } finally {
+        fs.createWriteStream = createWriteStream;
+    }
+    capture.write('inbound', frame(1000), 0);
+
+    await assert.rejects(capture.close(), /ENOSPC/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
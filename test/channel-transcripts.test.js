@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { parseWav, splitChannels } = require('../lib/call-audio');
+const { mergeChannels } = require('../lib/speaker-attribution');
+const { startServer } = require('./helpers/server');
+
+// A 16-bit WAV with one channel per sample array
+function linearWav(...channels) {
+    const frames = channels[0].length;
+    const data = Buffer.alloc(frames * channels.length * 2);
+    for (let frame = 0; frame < frames; frame++) {
+        channels.forEach((samples, channel) => data.writeInt16LE(samples[frame], (frame * channels.length + channel) * 2));
+    }
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels.length, 22);
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(8000 * channels.length * 2, 28);
+    header.writeUInt16LE(channels.length * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+function samplesOf(wav) {
+    const { data } = parseWav(wav);
+    return Array.from({ length: data.length / 2 }, (_, i) => data.readInt16LE(i * 2));
+}
+
+test('a dual-channel recording splits into one mono WAV per channel', () => {
+    const [left, right] = splitChannels(linearWav([1, 2, 3, -4], [100, 200, 300, -400]));
+
+    assert.deepStrictEqual(parseWav(left).audioFormat, { encoding: 'linear16', sampleRate: 8000, channels: 1, bytesPerSample: 2 });
+    assert.deepStrictEqual(samplesOf(left), [1, 2, 3, -4]);
+    assert.deepStrictEqual(samplesOf(right), [100, 200, 300, -400]);
+    assert.strictEqual(left.readUInt32LE(40), 8);
+    assert.strictEqual(left.readUInt32LE(4), 36 + 8);
+});
+
+test('leg recordings merge onto one timeline from the first recording start', () => {
+    const { channels, utterances } = mergeChannels([
+        {
+            recordingSid: 'RE2',
+            startedAt: '2026-10-19T10:00:03.500Z',
+            channels: [{
+                channel: 0, speaker: 'participant', phone: '+15005550000', text: 'Hi, how can I help?', services_used: ['offline'],
+                lines: [{ start: 0.2, end: 1.4, text: 'Hi, how can I help?', confidence: 0.9 }]
+            }]
+        },
+        {
+            recordingSid: 'RE1',
+            startedAt: '2026-10-19T10:00:00.000Z',
+            channels: [{
+                channel: 0, speaker: 'caller', phone: '+447700900123', text: 'Hello there. I have a question.', services_used: ['offline'],
+                lines: [
+                    { start: 1, end: 2, text: 'Hello there.', confidence: 0.8 },
+                    { start: 5.1, end: 6.25, text: 'I have a question.', confidence: 0.7 }
+                ]
+            }]
+        }
+    ]);
+
+    assert.deepStrictEqual(channels.map(({ speaker, recordingSid, offset }) => ({ speaker, recordingSid, offset })), [
+        { speaker: 'participant', recordingSid: 'RE2', offset: 3.5 },
+        { speaker: 'caller', recordingSid: 'RE1', offset: 0 }
+    ]);
+    assert.deepStrictEqual(utterances.map(({ speaker, phone, speaker_label, start, end }) => [speaker, phone, speaker_label, start, end]), [
+        ['caller', '+447700900123', 'channel_1', 1, 2],
+        ['participant', '+15005550000', 'channel_1', 3.7, 4.9],
+        ['caller', '+447700900123', 'channel_1', 5.1, 6.25]
+    ]);
+});
+
+test('a conference with a recording per leg is published once, after the last leg', async () => {
+    const server = await startServer({
+        flows: path.join(__dirname, 'fixtures', 'call-flows-dual.json'),
+        env: { OFFLINE_STT_PHRASES: 'Hello there' },
+        fakeTwilio: true
+    });
+    try {
+        const conference = 'dual-CACALLER';
+        await server.post('/webhook', { CallSid: 'CACALLER', From: '+447700900123', To: '+447700900456' });
+        const dialed = await server.waitForTwilio(request => request.api === 'calls.create');
+
+        // Both legs join; each is recorded on its own
+        const legs = [];
+        for (const callSid of ['CACALLER', dialed.sid]) {
+            await server.post('/conference-events', { StatusCallbackEvent: 'participant-join', ConferenceSid: 'CFDUAL', FriendlyName: conference, CallSid: callSid });
+            legs.push(await server.waitForTwilio(request => request.api === 'recordings.create' && request.sid === callSid));
+        }
+
+        // A forced check that finds the leg recordings before their callbacks leaves them alone
+        server.setTwilio({
+            recordings: legs.map(leg => ({ sid: leg.params.recordingSid, callSid: leg.sid, channels: 2, source: 'StartCallRecordingAPI', uri: `/Recordings/${leg.params.recordingSid}.json` }))
+        });
+        const forced = JSON.parse((await server.post('/force-check-recordings', {})).text);
+        assert.strictEqual(forced.leftToCallback, 2);
+
+        const audio = linearWav(new Array(800).fill(1000), new Array(800).fill(-1000));
+        for (const [index, leg] of legs.entries()) {
+            const callback = new URL(leg.params.recordingStatusCallback);
+            server.serveRecording(`${leg.params.recordingSid}.wav`, audio);
+            await server.post(`${callback.pathname}${callback.search}`, {
+                CallSid: leg.sid,
+                RecordingSid: leg.params.recordingSid,
+                RecordingUrl: `${server.outsideUrl}/recordings/${leg.params.recordingSid}`,
+                RecordingStatus: 'completed',
+                RecordingDuration: '1',
+                RecordingStartTime: new Date(Date.UTC(2026, 9, 19, 10, 0, index * 2)).toUTCString()
+            });
+        }
+
+        const transcript = await server.waitForWebhook(post => post.type === 'final_transcript_multiservice');
+        assert.strictEqual(transcript.conference, conference);
+        assert.strictEqual(transcript.source, 'channels');
+        assert.strictEqual(transcript.complete, true);
+        assert.deepStrictEqual(transcript.recordingSids.sort(), legs.map(leg => leg.params.recordingSid).sort());
+        assert.deepStrictEqual(transcript.utterances.map(({ speaker, phone, start }) => [speaker, phone, start]), [
+            ['caller', '+447700900123', 0],
+            ['participant', '+15005550000', 2]
+        ]);
+        assert.strictEqual(transcript.conversation, 'Caller (+447700900123): Hello there\nParticipant (+15005550000): Hello there');
+
+        const jobs = await (await fetch(`${server.baseUrl}/recording-jobs`)).json();
+        assert.deepStrictEqual(jobs.jobs.map(job => job.kind), ['channels', 'channels']);
+        assert.strictEqual(server.webhooks.filter(post => post.type === 'final_transcript_multiservice').length, 1);
+    } finally {
+        await server.stop();
+    }
+});
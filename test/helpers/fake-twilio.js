@@ -0,0 +1,66 @@
+// Preloaded into a test server (node --require) in place of the Twilio REST client. Every API
+// request is reported to the test over IPC as { twilio: { api, sid, params } }; the test sets the
+// answers with { twilio: { recordings, failTo } }. TwiML and signature helpers are the real ones.
+const Module = require('module');
+
+const state = { recordings: [], failTo: [], calls: {} };
+let nextSid = 0;
+
+process.on('message', message => {
+    if (message && message.twilio) {
+        Object.assign(state, message.twilio);
+    }
+});
+
+function report(api, sid, params) {
+    process.send({ twilio: { api, sid, params } });
+}
+
+function createClient() {
+    const calls = sid => ({
+        update: async params => {
+            report('calls.update', sid, params);
+            return { sid };
+        },
+        fetch: async () => {
+            report('calls.fetch', sid, {});
+            return { sid, direction: 'outbound-api', from: '+15005550006', to: '+15005550000', ...state.calls[sid] };
+        },
+        recordings: {
+            create: async params => {
+                const recordingSid = `REFAKE${++nextSid}`;
+                report('recordings.create', sid, { ...params, recordingSid });
+                return { sid: recordingSid, callSid: sid };
+            }
+        }
+    });
+
+    calls.create = async params => {
+        if (state.failTo.includes(params.to)) {
+            report('calls.create', null, params);
+            throw new Error(`Invalid 'To' number: ${params.to}`);
+        }
+        const sid = `CAFAKE${++nextSid}`;
+        report('calls.create', sid, params);
+        return { sid };
+    };
+
+    return {
+        calls,
+        recordings: {
+            list: async params => {
+                report('recordings.list', null, params);
+                return state.recordings;
+            }
+        }
+    };
+}
+
+const load = Module._load;
+Module._load = function (request) {
+    const exports = load.apply(this, arguments);
+    if (request !== 'twilio' || exports.fake) {
+        return exports;
+    }
+    return Object.assign(createClient, exports, { fake: true });
+};
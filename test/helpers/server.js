@@ -0,0 +1,186 @@
+// Runs server.js in a child process for route-level tests, on the offline speech-to-text provider
+// with a temp jobs file and capture dir. A local "outside world" server takes the webhook posts
+// and serves recordings; with fakeTwilio the REST client is test/helpers/fake-twilio.js.
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+// Resolves with the first item of list the predicate accepts, polling until it turns up
+function waitIn(list, predicate, what, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            const found = list.find(predicate);
+            if (found) {
+                return resolve(found);
+            }
+            if (Date.now() - startedAt > timeoutMs) {
+                return reject(new Error(`Timed out waiting for ${what}`));
+            }
+            setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+// The webhook receiver and recording host
+async function startOutside() {
+    const webhooks = [];
+    const files = new Map();
+    const outside = http.createServer((req, res) => {
+        if (req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                webhooks.push(JSON.parse(body));
+                res.end('ok');
+            });
+            return;
+        }
+        const file = files.get(req.url);
+        res.statusCode = file ? 200 : 404;
+        res.end(file || '');
+    });
+    await new Promise(resolve => outside.listen(0, resolve));
+    return { outside, webhooks, files, url: `http://localhost:${outside.address().port}` };
+}
+
+async function startServer({ flows, env = {}, fakeTwilio = false }) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const port = await freePort();
+    const baseUrl = `http://localhost:${port}`;
+    const { outside, webhooks, files, url: outsideUrl } = await startOutside();
+
+    const args = fakeTwilio ? ['--require', path.join(__dirname, 'fake-twilio.js'), 'server.js'] : ['server.js'];
+    const child = spawn(process.execPath, args, {
+        cwd: ROOT,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            PUBLIC_BASE_URL: baseUrl,
+            STT_LIVE_PROVIDERS: 'offline',
+            STT_BATCH_PROVIDERS: 'offline',
+            CALL_FLOWS_CONFIG: flows,
+            RECORDING_JOBS_FILE: path.join(workDir, 'recording-jobs.json'),
+            CALL_AUDIO_DIR: path.join(workDir, 'recordings'),
+            TWILIO_SIGNATURE_VALIDATION: 'false',
+            WEBHOOK_URL: `${outsideUrl}/webhook`,
+            ...(fakeTwilio ? { TWILIO_ACCOUNT_SID: 'ACfake', TWILIO_AUTH_TOKEN: 'fake', PARTICIPANT_NUMBER: '+15005550001' } : {}),
+            ...env
+        },
+        stdio: fakeTwilio ? ['ignore', 'pipe', 'pipe', 'ipc'] : ['ignore', 'pipe', 'pipe']
+    });
+
+    const twilioRequests = [];
+    child.on('message', message => {
+        if (message && message.twilio) {
+            twilioRequests.push(message.twilio);
+        }
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes(`running on port ${port}`)) {
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+    });
+
+    const messages = [];
+    const dashboard = new WebSocket(baseUrl.replace('http', 'ws'));
+    dashboard.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise(resolve => dashboard.on('open', resolve));
+
+    return {
+        baseUrl,
+        outsideUrl,
+        messages,
+        webhooks,
+        twilioRequests,
+
+        // A form-encoded Twilio callback - resolves to { status, text }
+        async post(route, body) {
+            const response = await fetch(`${baseUrl}${route}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(body)
+            });
+            return { status: response.status, text: await response.text() };
+        },
+
+        waitForMessage: (predicate, timeoutMs) => waitIn(messages, predicate, 'a dashboard message', timeoutMs),
+        waitForWebhook: (predicate, timeoutMs) => waitIn(webhooks, predicate, 'a webhook post', timeoutMs),
+        waitForTwilio: (predicate, timeoutMs) => waitIn(twilioRequests, predicate, 'a Twilio API request', timeoutMs),
+
+        // A Media Streams connection that plays seconds of silence on both tracks; resolves to
+        // { stop() } once the frames are sent
+        async streamCall(conference, callSid, seconds) {
+            const stream = new WebSocket(`${baseUrl.replace('http', 'ws')}/deepgram?conference=${conference}`);
+            await new Promise(resolve => stream.on('open', resolve));
+            stream.send(JSON.stringify({
+                event: 'start',
+                start: { callSid, tracks: ['inbound', 'outbound'], mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } }
+            }));
+
+            const payload = Buffer.alloc(160, 0xff).toString('base64');
+            for (let i = 0; i < seconds * 50; i++) {
+                for (const track of ['inbound', 'outbound']) {
+                    stream.send(JSON.stringify({ event: 'media', media: { track, timestamp: String(i * 20), payload } }));
+                }
+            }
+
+            return {
+                stop() {
+                    stream.send(JSON.stringify({ event: 'stop' }));
+                    stream.close();
+                }
+            };
+        },
+
+        // Answers for the fake Twilio client ({ recordings, failTo, calls })
+        setTwilio(answers) {
+            child.send({ twilio: answers });
+        },
+
+        // Serve a recording from the outside server and return its URL
+        serveRecording(name, buffer) {
+            files.set(`/recordings/${name}`, buffer);
+            return `${outsideUrl}/recordings/${name}`;
+        },
+
+        async stop() {
+            dashboard.close();
+            child.removeAllListeners('exit');
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGKILL');
+            await exited;
+            outside.closeAllConnections();
+            await new Promise(resolve => outside.close(resolve));
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    startServer
+};
@@ -0,0 +1,40 @@
+// Snapshot assertions for node:test - snapshots are kept as JSON next to the tests in
+// test/__snapshots__/<test file>.json. A missing snapshot is written on the first run;
+// UPDATE_SNAPSHOTS=1 rewrites changed ones. Under CI a missing snapshot fails instead.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', '__snapshots__');
+
+function createSnapshots(testFile) {
+    const filePath = path.join(SNAPSHOT_DIR, `${path.basename(testFile, '.js')}.json`);
+    const saved = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    const update = process.env.UPDATE_SNAPSHOTS === '1';
+    let changed = false;
+
+    function matchSnapshot(name, actual) {
+        if (name in saved && !update) {
+            assert.strictEqual(actual, saved[name], `Snapshot "${name}" changed (UPDATE_SNAPSHOTS=1 to accept)`);
+            return;
+        }
+        if (!(name in saved) && process.env.CI && !update) {
+            assert.fail(`Snapshot "${name}" is missing - run the tests with UPDATE_SNAPSHOTS=1 to write it`);
+        }
+        saved[name] = actual;
+        changed = true;
+    }
+
+    // Call once all snapshots are matched
+    function save() {
+        if (changed) {
+            fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+            const sorted = Object.fromEntries(Object.keys(saved).sort().map(name => [name, saved[name]]));
+            fs.writeFileSync(filePath, `${JSON.stringify(sorted, null, 2)}\n`);
+        }
+    }
+
+    return { matchSnapshot, save };
+}
+
+module.exports = { createSnapshots };
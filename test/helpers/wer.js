@@ -0,0 +1,29 @@
+// Word error rate - (substitutions + deletions + insertions) / reference words, ignoring case
+// and punctuation the way the fusion does
+const { normalizeWord } = require('../../lib/transcript-fusion');
+
+function tokens(text) {
+    return text.split(/\s+/).map(normalizeWord).filter(Boolean);
+}
+
+// { errors, words } so a corpus can be summed before dividing
+function wordErrors(reference, hypothesis) {
+    const ref = tokens(reference);
+    const hyp = tokens(hypothesis);
+    let previous = Array.from({ length: hyp.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= ref.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= hyp.length; j++) {
+            current[j] = Math.min(
+                previous[j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1),
+                previous[j] + 1,
+                current[j - 1] + 1
+            );
+        }
+        previous = current;
+    }
+    return { errors: previous[hyp.length], words: ref.length };
+}
+
+module.exports = { wordErrors };
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createLiveFusion } = require('../lib/live-fusion');
+
+const ENGINES = ['deepgram', 'assemblyai'];
+
+// Picks the higher-confidence engine, so the tests can see which parts were fused
+function fuse(parts) {
+    const best = Object.values(parts).sort((a, b) => b.confidence - a.confidence)[0];
+    return { text: best.text, confidence: best.confidence, source: `${best.service}_best`, services_used: Object.keys(parts) };
+}
+
+function createFusion(settings) {
+    const utterances = [];
+    const fusion = createLiveFusion({ engines: ENGINES, fuse, onUtterance: utterance => utterances.push(utterance), settings });
+    return { fusion, utterances };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('an utterance is fused as soon as every engine has covered it', () => {
+    const { fusion, utterances } = createFusion({ settleMs: 1000, maxWaitMs: 1000 });
+
+    fusion.add('deepgram', { text: 'I want to cancel', confidence: 0.8, start: 1, end: 2.5 });
+    assert.strictEqual(utterances.length, 0);
+    fusion.add('assemblyai', { text: 'I want to cancel.', confidence: 0.9, start: 1.1, end: 2.4 });
+
+    assert.strictEqual(utterances.length, 1);
+    assert.strictEqual(utterances[0].text, 'I want to cancel.');
+    assert.strictEqual(utterances[0].source, 'assemblyai_best');
+    assert.deepStrictEqual(utterances[0].services_used, ENGINES);
+    assert.deepStrictEqual([utterances[0].start, utterances[0].end], [1, 2.5]);
+    fusion.close();
+});
+
+test('an engine that finishes late is not waited for past settleMs, and its late final is skipped', async () => {
+    const { fusion, utterances } = createFusion({ settleMs: 30, maxWaitMs: 100 });
+
+    fusion.add('deepgram', { text: 'hello there', confidence: 0.8, start: 0, end: 1 });
+    await sleep(60);
+    assert.strictEqual(utterances.length, 1);
+    assert.strictEqual(utterances[0].source, 'deepgram_only');
+
+    fusion.add('assemblyai', { text: 'hello there', confidence: 0.95, start: 0, end: 1 });
+    assert.strictEqual(utterances.length, 1);
+
+    // The next utterance is fused from both again
+    fusion.add('assemblyai', { text: 'how are you', confidence: 0.9, start: 1.5, end: 2.5 });
+    fusion.add('deepgram', { text: 'how are you', confidence: 0.7, start: 1.5, end: 2.4 });
+    assert.strictEqual(utterances.length, 2);
+    assert.deepStrictEqual(utterances[1].services_used.sort(), [...ENGINES].sort());
+    fusion.close();
+});
+
+test('when an engine fails outright, pending utterances go out from the engine that is left straight away', () => {
+    const { fusion, utterances } = createFusion({ settleMs: 10000, maxWaitMs: 10000 });
+
+    fusion.add('deepgram', { text: 'first', confidence: 0.8, start: 0, end: 1 });
+    fusion.add('deepgram', { text: 'second', confidence: 0.8, start: 2, end: 3 });
+    assert.strictEqual(utterances.length, 0);
+
+    fusion.setEngineActive('assemblyai', false);
+    assert.deepStrictEqual(utterances.map(utterance => [utterance.text, utterance.source]), [
+        ['first', 'deepgram_only'],
+        ['second', 'deepgram_only']
+    ]);
+
+    // With one engine left, nothing waits
+    fusion.add('deepgram', { text: 'third', confidence: 0.8, start: 4, end: 5 });
+    assert.strictEqual(utterances.length, 3);
+    fusion.close();
+});
+
+test('closing emits whatever is still waiting', () => {
+    const { fusion, utterances } = createFusion({ settleMs: 10000, maxWaitMs: 10000 });
+    fusion.add('assemblyai', { text: 'goodbye', confidence: 0.9, start: 0, end: 0.8 });
+    fusion.close();
+    assert.deepStrictEqual(utterances.map(utterance => utterance.text), ['goodbye']);
+});
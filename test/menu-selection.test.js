@@ -0,0 +1,42 @@
+// The caller's menu choice is kept with the call and sent with every payload about it, including
+// the post-call transcript that is only ready after the call has ended
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const PHRASES = ['I want to cancel my contract.', 'I can help with that.'];
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        flows: path.join(__dirname, 'fixtures', 'call-flows-menu.json'),
+        env: { OFFLINE_STT_PHRASES: PHRASES.join('|') }
+    });
+});
+
+after(() => server.stop());
+
+test('the menu selection is sent with live alerts and the post-call transcript', async () => {
+    const call = { CallSid: 'CAMENU', From: '+447700900123', To: '+447700900456' };
+    const menu = await server.post('/webhook', call);
+    assert.match(menu.text, /<Gather[^>]*action="[^"]*\/menu-selection\?flow=menu&amp;attempt=1"/);
+
+    await server.post('/menu-selection?flow=menu&attempt=1', { ...call, Digits: '2' });
+    const connected = await server.post('/recording-consent?flow=menu&menu=2', call);
+    assert.match(connected.text, /<Conference[^>]*>menu-CAMENU<\/Conference>/);
+
+    const stream = await server.streamCall('menu-CAMENU', 'CAMENU', 2.5);
+    const alert = await server.waitForMessage(message => message.type === 'alert' && message.conference === 'menu-CAMENU');
+    stream.stop();
+
+    const expected = { menu: 'main', digit: '2', label: 'Billing', intent: 'billing' };
+    const pick = selection => selection && { menu: selection.menu, digit: selection.digit, label: selection.label, intent: selection.intent };
+    assert.deepStrictEqual(pick(alert.menu_selection), expected);
+
+    const transcript = await server.waitForWebhook(post => post.type === 'final_transcript_multiservice');
+    assert.strictEqual(transcript.audio_source, 'stream_capture');
+    assert.deepStrictEqual(pick(transcript.menu_selection), expected);
+    assert.ok(transcript.menu_selection.selectedAt);
+});
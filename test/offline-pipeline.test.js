@@ -0,0 +1,48 @@
+// The whole call pipeline on the offline speech-to-text provider: inbound webhook, live media
+// stream, live transcripts and watchlist alerts, stream capture, post-call transcription job
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const PHRASES = ['Hello, I want to cancel my contract.', 'Sorry to hear that, let me help.'];
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        flows: path.join(__dirname, 'fixtures', 'call-flows-offline.json'),
+        env: { OFFLINE_STT_PHRASES: PHRASES.join('|') }
+    });
+});
+
+after(() => server.stop());
+
+test('a call is transcribed live and after the call without any network', async () => {
+    const response = await server.post('/webhook', { CallSid: 'CAOFFLINE', From: '+447700900123', To: '+447700900456' });
+    assert.strictEqual(response.status, 200);
+    const twiml = response.text;
+    assert.match(twiml, /<Stream url="ws:\/\/localhost:\d+\/deepgram\?conference=offline-CAOFFLINE" track="both_tracks"\/>/);
+
+    // 2.5s of both tracks, then the stream stops
+    const stream = await server.streamCall('offline-CAOFFLINE', 'CAOFFLINE', 2.5);
+
+    const live = await server.waitForMessage(message => message.type === 'transcript' && message.speaker === 'caller' && message.text === PHRASES[0]);
+    assert.strictEqual(live.source, 'offline_only');
+
+    const alert = await server.waitForMessage(message => message.type === 'alert');
+    assert.strictEqual(alert.watchlist, 'cancellation');
+    assert.strictEqual(alert.speaker, 'caller');
+
+    stream.stop();
+
+    const final = await server.waitForMessage(message => message.type === 'final_transcript_multiservice');
+    assert.strictEqual(final.audio_source, 'stream_capture');
+    assert.strictEqual(final.text, PHRASES.join(' '));
+    assert.deepStrictEqual(final.services_used, ['offline']);
+    assert.deepStrictEqual(final.utterances.map(utterance => utterance.text), PHRASES);
+    assert.strictEqual(final.utterances[0].speaker, 'caller');
+
+    const job = await server.waitForMessage(message => message.type === 'recording_job' && message.status === 'completed');
+    assert.strictEqual(job.kind, 'capture');
+});
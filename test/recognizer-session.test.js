@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { createRecognizerSession } = require('../lib/recognizer-session');
+
+// 16-bit 8kHz mono: 16000 bytes a second, so a 1600-byte chunk is 0.1s
+const LINEAR_8K = { encoding: 'linear16', sampleRate: 8000, channels: 1, bytesPerSample: 2 };
+const CHUNK_BYTES = 1600;
+const FAST_RECONNECT = { initialDelayMs: 1, maxDelayMs: 5 };
+
+// The session logs every drop and reconnect; keep that out of the test runner's output
+const { log, error } = console;
+before(() => {
+    console.log = console.error = () => {};
+});
+after(() => {
+    Object.assign(console, { log, error });
+});
+
+// Stand-in for a Deepgram live connection: records what it was sent, the test drives its events
+function createFakeConnections() {
+    const connections = [];
+    const connect = () => {
+        const connection = new EventEmitter();
+        connection.sent = [];
+        connection.send = chunk => connection.sent.push(chunk);
+        connection.requestClose = () => connection.emit(LiveTranscriptionEvents.Close);
+        connection.disconnect = () => {};
+        connections.push(connection);
+        return connection;
+    };
+    return { connections, connect };
+}
+
+// A chunk whose first byte says which 0.1s of call audio it is
+function chunk(index) {
+    const audio = Buffer.alloc(CHUNK_BYTES);
+    audio[0] = index;
+    return audio;
+}
+
+function transcript(start, words) {
+    return {
+        is_final: true,
+        start,
+        duration: 0.5,
+        channel: { alternatives: [{ transcript: words.map(word => word.word).join(' '), words }] }
+    };
+}
+
+function record(session) {
+    const events = [];
+    for (const name of ['disconnected', 'reconnected', 'gap', 'failed', 'close']) {
+        session.on(name, info => events.push({ name, ...info }));
+    }
+    return events;
+}
+
+const nextConnection = (connections, count) => new Promise(resolve => {
+    const check = () => (connections.length >= count ? resolve(connections[count - 1]) : setTimeout(check, 1));
+    check();
+});
+
+test('audio sent before the first connection opens is replayed when a later one does', async () => {
+    const { connections, connect } = createFakeConnections();
+    const session = createRecognizerSession({ connect, audioFormat: LINEAR_8K, reconnect: FAST_RECONNECT });
+    const events = record(session);
+
+    session.send(chunk(0));
+    session.send(chunk(1));
+    connections[0].emit(LiveTranscriptionEvents.Close);     // Dropped before it ever opened
+    session.send(chunk(2));
+
+    const second = await nextConnection(connections, 2);
+    second.emit(LiveTranscriptionEvents.Open);
+    assert.deepStrictEqual(second.sent.map(audio => audio[0]), [0, 1, 2]);
+    assert.deepStrictEqual(connections[0].sent, []);
+
+    const results = [];
+    session.on('transcript', data => results.push(data));
+    second.emit(LiveTranscriptionEvents.Transcript, transcript(0.1, [{ word: 'hello', start: 0.1, end: 0.3 }]));
+    assert.strictEqual(results[0].start, 0.1);
+
+    assert.deepStrictEqual(events.map(event => event.name), ['disconnected', 'reconnected']);
+    assert.strictEqual(events[0].atSeconds, 0.2);
+    assert.strictEqual(events[1].replayedSeconds, 0.3);
+    assert.strictEqual(events[1].offsetSeconds, 0);
+    session.close();
+});
+
+test('a drop mid-stream replays the buffer, reports the overflow as a gap and shifts later results', async () => {
+    const { connections, connect } = createFakeConnections();
+    const session = createRecognizerSession({ connect, audioFormat: LINEAR_8K, reconnect: { ...FAST_RECONNECT, maxBufferSeconds: 0.2 } });
+    const events = record(session);
+    const results = [];
+    session.on('transcript', data => results.push(data));
+    session.on('speech_started', data => results.push(data));
+
+    connections[0].emit(LiveTranscriptionEvents.Open);
+    for (let i = 0; i < 10; i++) {
+        session.send(chunk(i));
+    }
+    assert.strictEqual(connections[0].sent.length, 10);
+
+    // 0.3s while disconnected, with room for 0.2s: chunk 10 overflows
+    connections[0].emit(LiveTranscriptionEvents.Error, new Error('socket hang up'));
+    for (let i = 10; i < 13; i++) {
+        session.send(chunk(i));
+    }
+
+    const second = await nextConnection(connections, 2);
+    second.emit(LiveTranscriptionEvents.Open);
+    assert.deepStrictEqual(second.sent.map(audio => audio[0]), [11, 12]);
+    session.send(chunk(13));
+    assert.deepStrictEqual(second.sent.map(audio => audio[0]), [11, 12, 13]);
+
+    const gap = events.find(event => event.name === 'gap');
+    assert.deepStrictEqual([gap.startSeconds, gap.endSeconds, gap.durationSeconds], [1, 1.1, 0.1]);
+    const reconnected = events.find(event => event.name === 'reconnected');
+    assert.strictEqual(reconnected.offsetSeconds, 1.1);
+    assert.strictEqual(events[0].error, 'socket hang up');
+
+    // The new connection's time zero is 1.1s into the call
+    second.emit(LiveTranscriptionEvents.Transcript, transcript(0.2, [{ word: 'still', start: 0.2, end: 0.4 }]));
+    second.emit(LiveTranscriptionEvents.SpeechStarted, { timestamp: 0.5 });
+    assert.ok(Math.abs(results[0].start - 1.3) < 1e-9);
+    assert.ok(Math.abs(results[0].channel.alternatives[0].words[0].end - 1.5) < 1e-9);
+    assert.ok(Math.abs(results[1].timestamp - 1.6) < 1e-9);
+
+    // Results from the dead connection are ignored
+    connections[0].emit(LiveTranscriptionEvents.Transcript, transcript(0, [{ word: 'stale', start: 0, end: 0.2 }]));
+    assert.strictEqual(results.length, 2);
+    session.close();
+    assert.strictEqual(events[events.length - 1].name, 'close');
+});
+
+test('the session gives up after maxAttempts and reports the buffered audio as lost', async () => {
+    const { connections, connect } = createFakeConnections();
+    const session = createRecognizerSession({ connect, audioFormat: LINEAR_8K, reconnect: { ...FAST_RECONNECT, maxAttempts: 2 } });
+    const events = record(session);
+
+    connections[0].emit(LiveTranscriptionEvents.Open);
+    session.send(chunk(0));
+    connections[0].emit(LiveTranscriptionEvents.Close);
+    session.send(chunk(1));
+    session.send(chunk(2));
+
+    (await nextConnection(connections, 2)).emit(LiveTranscriptionEvents.Close);
+    (await nextConnection(connections, 3)).emit(LiveTranscriptionEvents.Close, new Error('429'));
+
+    assert.deepStrictEqual(events.map(event => event.name), ['disconnected', 'disconnected', 'gap', 'failed', 'close']);
+    assert.deepStrictEqual(events.slice(0, 2).map(event => event.attempt), [1, 2]);
+    assert.deepStrictEqual([events[2].startSeconds, events[2].endSeconds], [0.1, 0.3]);
+    assert.strictEqual(events[3].attempts, 2);
+
+    // Nothing more is sent or reconnected
+    session.send(chunk(3));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(connections.length, 3);
+    assert.ok(connections.every(connection => connection.sent.length <= 1));
+});
@@ -0,0 +1,92 @@
+// Recording consent: the prompt comes before connecting, the decision is kept with the call and
+// sent with its payloads, and declining connects the call without recording or live streaming
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const WebSocket = require('ws');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        flows: path.join(__dirname, 'fixtures', 'call-flows-menu.json'),
+        env: { OFFLINE_STT_PHRASES: 'I want to cancel my contract.|I can help with that.' }
+    });
+});
+
+after(() => server.stop());
+
+// Plays Twilio's side of an agent flow's <Connect><Stream>: seconds of caller silence, then
+// resolves with the messages the agent sent back
+async function talkToAgent(callSid, seconds) {
+    const stream = new WebSocket(`${server.baseUrl.replace('http', 'ws')}/agent`);
+    const received = [];
+    stream.on('message', data => received.push(JSON.parse(data)));
+    await new Promise(resolve => stream.on('open', resolve));
+    stream.send(JSON.stringify({
+        event: 'start',
+        start: { callSid, streamSid: `MZ${callSid}`, customParameters: { flow: 'agent' }, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } }
+    }));
+
+    const payload = Buffer.alloc(160, 0xff).toString('base64');
+    for (let i = 0; i < seconds * 50; i++) {
+        stream.send(JSON.stringify({ event: 'media', media: { track: 'inbound', timestamp: String(i * 20), payload } }));
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+    stream.send(JSON.stringify({ event: 'stop' }));
+    stream.close();
+    return received;
+}
+
+test('consent is asked after the menu, and the decision rides along with alerts and the transcript', async () => {
+    const call = { CallSid: 'CACONSENT', From: '+447700900123', To: '+447700900456' };
+    const prompt = await server.post('/menu-selection?flow=menu&attempt=1', { ...call, Digits: '1' });
+    assert.match(prompt.text, /<Gather[^>]*action="[^"]*\/recording-consent\?flow=menu&amp;menu=1"[^>]*><Say[^>]*>This call will be recorded/);
+
+    const connected = await server.post('/recording-consent?flow=menu&menu=1', call);
+    assert.match(connected.text, /<Stream /);
+
+    const stream = await server.streamCall('menu-CACONSENT', 'CACONSENT', 2.5);
+    const alert = await server.waitForMessage(message => message.type === 'alert' && message.conference === 'menu-CACONSENT');
+    stream.stop();
+    assert.deepStrictEqual([alert.consent.status, alert.consent.recording], ['given', true]);
+
+    const transcript = await server.waitForWebhook(post => post.type === 'final_transcript_multiservice' && post.callSid === 'CACONSENT');
+    assert.strictEqual(transcript.consent.status, 'given');
+});
+
+test('a caller who presses the opt-out key is connected without recording or live streaming', async () => {
+    const call = { CallSid: 'CADECLINE', From: '+447700900123', To: '+447700900456' };
+    const connected = await server.post('/recording-consent?flow=menu&menu=1', { ...call, Digits: '9' });
+
+    assert.match(connected.text, /<Say[^>]*>Okay, this call will not be recorded\.<\/Say>/);
+    assert.match(connected.text, /<Conference[^>]*>menu-CADECLINE<\/Conference>/);
+    assert.doesNotMatch(connected.text, /<Stream/);
+    assert.match(connected.text, /record="do-not-record"/);
+});
+
+test('agent flows ask for consent too, since the agent transcribes the caller', async () => {
+    const call = { CallSid: 'CAAGENT', From: '+447700900123', To: '+447700900456' };
+    const prompt = await server.post('/webhook?flow=agent', call);
+    assert.match(prompt.text, /<Gather[^>]*action="[^"]*\/recording-consent\?flow=agent"/);
+
+    const connected = await server.post('/recording-consent?flow=agent', call);
+    assert.match(connected.text, /<Connect><Stream url="ws:\/\/[^"]*\/agent">/);
+
+    await talkToAgent('CAAGENT', 2.5);
+    const heard = await server.waitForMessage(message => message.type === 'transcript' && message.conference === 'CAAGENT' && message.speaker === 'caller' && message.is_final);
+    assert.deepStrictEqual([heard.consent.status, heard.consent.recording], ['given', true]);
+});
+
+test('an agent caller who opts out still talks to the agent, but nothing they say is broadcast', async () => {
+    const call = { CallSid: 'CAAGENTNO', From: '+447700900123', To: '+447700900456' };
+    const connected = await server.post('/recording-consent?flow=agent', { ...call, Digits: '9' });
+    assert.match(connected.text, /<Say[^>]*>Okay, this call will not be recorded\.<\/Say><Connect>/);
+
+    const received = await talkToAgent('CAAGENTNO', 2.5);
+    assert.ok(received.some(message => message.event === 'media'), 'the agent still answers');
+    await server.waitForMessage(message => message.type === 'agent_turn' && message.conference === 'CAAGENTNO' && message.turn === 1);
+    assert.ok(!server.messages.some(message => message.type === 'transcript' && message.conference === 'CAAGENTNO'));
+    assert.ok(!server.messages.some(message => message.type === 'alert' && message.conference === 'CAAGENTNO'));
+});
@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_DEFAULTS, createRecordingJobQueue } = require('../lib/recording-jobs');
+
+const FAST = { baseDelayMs: 20, maxDelayMs: 1000, saveDelayMs: 5 };
+
+function tempJobsFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-jobs-'));
+    return path.join(dir, 'jobs.json');
+}
+
+// Resolves once a job reaches the status
+function waitFor(queue, id, status) {
+    return new Promise(resolve => {
+        const check = job => {
+            if (job.id === id && job.status === status) {
+                queue.off('job', check);
+                resolve(job);
+            }
+        };
+        queue.on('job', check);
+    });
+}
+
+test('a recording queued twice runs once', async () => {
+    let runs = 0;
+    const queue = createRecordingJobQueue({
+        run: async () => { runs++; return { ok: true }; },
+        filePath: tempJobsFile(),
+        settings: FAST
+    });
+    queue.start();
+
+    const done = waitFor(queue, 'RE1', 'completed');
+    assert.strictEqual(queue.enqueue({ id: 'RE1', recordingUrl: 'https://example.com/RE1' }).created, true);
+    assert.strictEqual(queue.enqueue({ id: 'RE1', recordingUrl: 'https://example.com/RE1' }).created, false);
+    await done;
+
+    assert.strictEqual(queue.enqueue({ id: 'RE1' }).created, false);
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(queue.get('RE1').result, { ok: true });
+    await queue.stop();
+});
+
+test('failed attempts are retried with doubling delays until maxAttempts', async () => {
+    const startedAt = [];
+    const queue = createRecordingJobQueue({
+        run: async () => {
+            startedAt.push(Date.now());
+            throw new Error('not ready');
+        },
+        filePath: tempJobsFile(),
+        settings: { ...FAST, maxAttempts: 3 }
+    });
+    queue.start();
+
+    const failed = waitFor(queue, 'RE2', 'failed');
+    queue.enqueue({ id: 'RE2' });
+    const job = await failed;
+
+    assert.strictEqual(job.attempts, 3);
+    assert.strictEqual(job.lastError, 'not ready');
+    const gaps = [startedAt[1] - startedAt[0], startedAt[2] - startedAt[1]];
+    assert.ok(gaps[0] >= 20, `first retry after ${gaps[0]}ms`);
+    assert.ok(gaps[1] >= 40, `second retry after ${gaps[1]}ms`);
+
+    // Only a failed job can be queued again
+    const requeued = waitFor(queue, 'RE2', 'failed');
+    assert.strictEqual(queue.enqueue({ id: 'RE2' }).created, true);
+    await requeued;
+    assert.strictEqual(startedAt.length, 6);
+    await queue.stop();
+});
+
+test('jobs queued or running when the process stopped resume on start', async () => {
+    const filePath = tempJobsFile();
+    const first = createRecordingJobQueue({
+        run: () => new Promise(() => {}),       // Never finishes - the process "dies" mid-job
+        filePath,
+        settings: { ...FAST, concurrency: 1 }
+    });
+    first.start();
+    first.enqueue({ id: 'RE3', callSid: 'CA3' });
+    first.enqueue({ id: 'RE4', callSid: 'CA4' });
+    first.enqueue({ id: 'RE5', callSid: 'CA5' });
+    await first.stop();
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(saved.map(job => [job.id, job.status]), [['RE3', 'running'], ['RE4', 'queued'], ['RE5', 'queued']]);
+
+    const ran = [];
+    const second = createRecordingJobQueue({
+        run: async job => { ran.push(job.id); },
+        filePath,
+        settings: FAST
+    });
+    const done = Promise.all(['RE3', 'RE4', 'RE5'].map(id => waitFor(second, id, 'completed')));
+    second.start();
+    await done;
+
+    assert.deepStrictEqual(ran.sort(), ['RE3', 'RE4', 'RE5']);
+    assert.strictEqual(second.get('RE3').callSid, 'CA3');
+    await second.stop();
+    assert.ok(JSON.parse(fs.readFileSync(filePath, 'utf8')).every(job => job.status === 'completed'));
+});
+
+test('no more than concurrency jobs run at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const queue = createRecordingJobQueue({
+        run: async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+        },
+        filePath: tempJobsFile(),
+        settings: { ...FAST, concurrency: 2 }
+    });
+    queue.start();
+
+    const ids = ['RE6', 'RE7', 'RE8', 'RE9', 'RE10'];
+    const done = Promise.all(ids.map(id => waitFor(queue, id, 'completed')));
+    ids.forEach(id => queue.enqueue({ id }));
+    assert.strictEqual(queue.stats().running, 2);
+    await done;
+
+    assert.strictEqual(peak, 2);
+    await queue.stop();
+});
+
+test('a concurrency that is not a positive whole number falls back to the default', async () => {
+    for (const concurrency of [NaN, 0, -1, 1.5]) {
+        const queue = createRecordingJobQueue({ run: async () => {}, filePath: tempJobsFile(), settings: { concurrency } });
+        assert.strictEqual(queue.stats().concurrency, JOB_DEFAULTS.concurrency);
+        await queue.stop();
+    }
+});
+
+test('changes close together are saved in one write', async () => {
+    const filePath = tempJobsFile();
+    const queue = createRecordingJobQueue({ run: () => new Promise(() => {}), filePath, settings: { ...FAST, saveDelayMs: 50 } });
+    queue.start();
+
+    const writes = [];
+    const writeFile = fs.promises.writeFile;
+    fs.promises.writeFile = (...args) => {
+        writes.push(args[0]);
+        return writeFile(...args);
+    };
+    try {
+        ['RE11', 'RE12', 'RE13'].forEach(id => queue.enqueue({ id }));
+        assert.strictEqual(fs.existsSync(filePath), false);
+        await queue.flush();
+    } finally {
+        fs.promises.writeFile = writeFile;
+    }
+
+    assert.strictEqual(writes.length, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).length, 3);
+    await queue.stop();
+});
@@ -0,0 +1,116 @@
+// Ring groups and failover through the real routes: the server dials legs on the fake Twilio client,
+// and the test plays Twilio's part by posting the legs' answers and status callbacks
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer({ flows: path.join(__dirname, 'fixtures', 'call-flows-ring.json'), fakeTwilio: true });
+});
+
+after(() => server.stop());
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Outbound legs placed for a conference, in dialing order
+function legsFor(conference) {
+    return server.twilioRequests.filter(request => request.api === 'calls.create' && request.params.url.includes(`conference=${conference}`));
+}
+
+async function waitForLegs(conference, count) {
+    await server.waitForTwilio(() => legsFor(conference).length >= count);
+    return legsFor(conference);
+}
+
+function legStatus(leg, status) {
+    return server.post('/call-status', { CallSid: leg.sid, CallStatus: status, Direction: 'outbound-api', From: '+15005550006', To: leg.params.to });
+}
+
+function answer(leg) {
+    const url = new URL(leg.params.url);
+    return server.post(`${url.pathname}${url.search}`, { CallSid: leg.sid, From: '+15005550006', To: leg.params.to });
+}
+
+// TwiML the caller was redirected to
+function callerRedirects(callSid) {
+    return server.twilioRequests.filter(request => request.api === 'calls.update' && request.sid === callSid && request.params.twiml);
+}
+
+test('a simultaneous group rings every number, the first answer joins and the rest are cancelled', async () => {
+    await server.post('/webhook?flow=simultaneous', { CallSid: 'CARING1', From: '+447700900123', To: '+447700900456' });
+    const legs = await waitForLegs('sales-CARING1', 3);
+    assert.deepStrictEqual(legs.map(leg => leg.params.to), ['+15005550101', '+15005550102', '+15005550103']);
+    assert.ok(legs.every(leg => leg.params.timeout === 15));
+
+    const joined = await answer(legs[1]);
+    assert.match(joined.text, /<Conference[^>]*>sales-CARING1<\/Conference>/);
+
+    await server.waitForTwilio(() => server.twilioRequests.filter(request => request.api === 'calls.update' && request.params.status === 'canceled').length >= 2);
+    const cancelled = server.twilioRequests.filter(request => request.api === 'calls.update' && request.params.status === 'canceled');
+    assert.deepStrictEqual(cancelled.map(request => request.sid).sort(), [legs[0].sid, legs[2].sid].sort());
+
+    // A leg that picks up anyway is turned away
+    const late = await answer(legs[0]);
+    assert.match(late.text, /already been answered/);
+    assert.doesNotMatch(late.text, /<Conference/);
+});
+
+test('a leg that fails to dial while the others are still being placed does not fail the caller over', async () => {
+    server.setTwilio({ failTo: ['+15005550101'] });
+    try {
+        await server.post('/webhook?flow=simultaneous', { CallSid: 'CARING2', From: '+447700900123', To: '+447700900456' });
+        const legs = await waitForLegs('sales-CARING2', 3);
+        const placed = legs.filter(leg => leg.sid);
+        assert.strictEqual(placed.length, 2);
+
+        await sleep(100);
+        assert.strictEqual(callerRedirects('CARING2').length, 0);
+
+        // Once both ringing legs report no answer, the caller hears the failover message, once
+        await legStatus(placed[0], 'no-answer');
+        assert.strictEqual(callerRedirects('CARING2').length, 0);
+        await legStatus(placed[1], 'busy');
+
+        const redirect = await server.waitForTwilio(request => request.api === 'calls.update' && request.sid === 'CARING2');
+        assert.match(redirect.params.twiml, /<Say[^>]*>Nobody is free right now\.<\/Say><Hangup\/>/);
+        const failover = await server.waitForMessage(message => message.type === 'dial_failover' && message.conference === 'sales-CARING2');
+        assert.deepStrictEqual([failover.outcome, failover.exhausted], ['message', true]);
+
+        await sleep(100);
+        assert.strictEqual(callerRedirects('CARING2').length, 1);
+    } finally {
+        server.setTwilio({ failTo: [] });
+    }
+});
+
+test('a sequential group hunts on no-answer, then tries the backup number, then sends the caller to voicemail', async () => {
+    await server.post('/webhook?flow=sequential', { CallSid: 'CARING3', From: '+447700900123', To: '+447700900456' });
+    let legs = await waitForLegs('support-CARING3', 1);
+    assert.deepStrictEqual(legs.map(leg => leg.params.to), ['+15005550201']);
+
+    await legStatus(legs[0], 'no-answer');
+    legs = await waitForLegs('support-CARING3', 2);
+    assert.strictEqual(legs[1].params.to, '+15005550202');
+    const hunted = await server.waitForMessage(message => message.type === 'dial_failover' && message.conference === 'support-CARING3');
+    assert.deepStrictEqual([hunted.failedNumber, hunted.outcome, hunted.nextNumber], ['+15005550201', 'next_number', '+15005550202']);
+
+    // The group is exhausted - the flow's backup number gets one try
+    await legStatus(legs[1], 'busy');
+    legs = await waitForLegs('support-CARING3', 3);
+    assert.strictEqual(legs[2].params.to, '+15005550299');
+    assert.strictEqual(callerRedirects('CARING3').length, 0);
+
+    await legStatus(legs[2], 'no-answer');
+    const redirect = await server.waitForTwilio(request => request.api === 'calls.update' && request.sid === 'CARING3');
+    assert.match(redirect.params.twiml, /Please leave a message\.<\/Say><Record /);
+    assert.match(redirect.params.twiml, /voicemail-recording\?flow=sequential&amp;caller=%2B447700900123&amp;conference=support-CARING3/);
+
+    // A number answering after the caller went to voicemail doesn't join an empty conference
+    const late = await answer(legs[2]);
+    assert.match(late.text, /already been answered/);
+    await sleep(100);
+    assert.strictEqual(legsFor('support-CARING3').length, 3);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { loadRoutingRules, evaluateRoutingRules } = require('../lib/routing-rules');
+
+// New York: UTC-4 in summer time, UTC-5 in winter; summer time started 2026-03-08 at 02:00
+const config = loadRoutingRules(path.join(__dirname, 'fixtures', 'routing-rules.json'));
+
+function routeAt(isoTime) {
+    return evaluateRoutingRules(config, { clock: () => new Date(isoTime) });
+}
+
+test('open hours connect the call', () => {
+    const decision = routeAt('2026-10-19T13:00:00Z');
+    assert.strictEqual(decision.state, 'open');
+    assert.strictEqual(decision.action, 'conference');
+    assert.strictEqual(decision.localTime, 'monday 2026-10-19 09:00');
+    assert.strictEqual(decision.evaluatedAt, '2026-10-19T13:00:00.000Z');
+});
+
+test('closed hours go to voicemail', () => {
+    assert.strictEqual(routeAt('2026-10-19T12:59:00Z').state, 'closed');
+    // 17:30 is the end of the range, so it's already closed
+    const decision = routeAt('2026-10-19T21:30:00Z');
+    assert.strictEqual(decision.state, 'closed');
+    assert.strictEqual(decision.rule, 'after-hours');
+    assert.strictEqual(decision.action, 'voicemail');
+    // Tuesday has no hours at all
+    assert.strictEqual(routeAt('2026-10-20T15:00:00Z').state, 'closed');
+});
+
+test('holidays win over open hours', () => {
+    // Monday, inside the usual hours
+    const oneOff = routeAt('2026-10-26T14:00:00Z');
+    assert.strictEqual(oneOff.state, 'holiday');
+    assert.strictEqual(oneOff.holiday, 'Company Day');
+    assert.strictEqual(oneOff.message, 'Closed for the holiday.');
+
+    // Yearly holiday, matched on the local date: 02:00 UTC on the 26th is still the 25th in New York
+    assert.strictEqual(routeAt('2028-12-26T02:00:00Z').holiday, 'Christmas Day');
+    assert.strictEqual(routeAt('2028-12-26T06:00:00Z').state, 'closed');
+});
+
+test('overnight range runs past midnight into the next day', () => {
+    assert.strictEqual(routeAt('2026-10-24T01:59:00Z').state, 'closed');    // Friday 21:59
+    assert.strictEqual(routeAt('2026-10-25T02:00:00Z').state, 'open');      // Saturday 22:00
+    assert.strictEqual(routeAt('2026-10-25T09:59:00Z').state, 'open');      // Sunday 05:59
+    assert.strictEqual(routeAt('2026-10-25T10:00:00Z').state, 'closed');    // Sunday 06:00
+    assert.strictEqual(routeAt('2026-10-24T07:00:00Z').state, 'closed');    // Saturday 03:00 - Friday has no overnight hours
+});
+
+test('hours follow local time across the summer time change', () => {
+    // Sunday 2026-03-08: clocks go forward at 02:00, so 10:00 local is 14:00 UTC, not 15:00
+    assert.strictEqual(routeAt('2026-03-08T13:59:00Z').state, 'closed');
+    const opening = routeAt('2026-03-08T14:00:00Z');
+    assert.strictEqual(opening.state, 'open');
+    assert.strictEqual(opening.localTime, 'sunday 2026-03-08 10:00');
+    assert.strictEqual(routeAt('2026-03-08T17:59:00Z').state, 'open');
+    assert.strictEqual(routeAt('2026-03-08T18:00:00Z').state, 'closed');
+
+    // The early hours of that Sunday still belong to Saturday night, on the winter offset
+    assert.strictEqual(routeAt('2026-03-08T06:30:00Z').localTime, 'sunday 2026-03-08 01:30');
+    assert.strictEqual(routeAt('2026-03-08T06:30:00Z').state, 'open');
+    assert.strictEqual(routeAt('2026-03-08T07:30:00Z').localTime, 'sunday 2026-03-08 03:30');
+    assert.strictEqual(routeAt('2026-03-08T07:30:00Z').state, 'open');
+});
+
+test('no decision while routing is disabled', () => {
+    assert.strictEqual(evaluateRoutingRules({ ...config, enabled: false }, { clock: () => new Date('2026-10-19T13:00:00Z') }), null);
+});
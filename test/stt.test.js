@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { registerProvider, createProviders } = require('../lib/stt');
+const { createOfflineProvider } = require('../lib/stt/offline');
+const { createAssemblyAIStream } = require('../lib/stt/assemblyai');
+
+const MULAW_8K = { encoding: 'mulaw', sampleRate: 8000, channels: 1, bytesPerSample: 1 };
+
+test('an engine used live and post-call is created once', () => {
+    let created = 0;
+    registerProvider('counting', options => {
+        created++;
+        return createOfflineProvider(options);
+    });
+
+    const shared = new Map();
+    const live = createProviders('counting,offline', {}, 'live', shared);
+    const batch = createProviders(['counting'], {}, 'batch', shared);
+    assert.strictEqual(created, 1);
+    assert.strictEqual(live[0], batch[0]);
+});
+
+test('offline live stream hears one phrase per segment, with events around it', () => {
+    const provider = createOfflineProvider({ phrases: ['hello there', 'goodbye now'], segmentSeconds: 1 });
+    const stream = provider.createLiveStream({ audioFormat: MULAW_8K });
+    const events = [];
+    for (const name of ['speech_started', 'interim', 'final', 'utterance_end']) {
+        stream.on(name, event => events.push({ name, ...event }));
+    }
+
+    // 1.5s of 20ms frames
+    for (let i = 0; i < 75; i++) {
+        stream.send(Buffer.alloc(160, 0xff));
+    }
+    stream.close();
+
+    assert.deepStrictEqual(events.map(event => event.name), [
+        'speech_started', 'interim', 'final', 'utterance_end',
+        'speech_started', 'interim', 'final', 'utterance_end'
+    ]);
+    const finals = events.filter(event => event.name === 'final');
+    assert.deepStrictEqual(finals.map(final => final.text), ['hello there', 'goodbye now']);
+    assert.deepStrictEqual([finals[1].start, finals[1].end], [1, 1.5]);
+    assert.deepStrictEqual(finals[0].words.map(word => word.word), ['hello', 'there']);
+});
+
+test('offline recordings alternate two speakers with word timings', async () => {
+    const provider = createOfflineProvider({ phrases: ['hi how are you', 'fine thanks'], wordSeconds: 0.5 });
+    const result = await provider.transcribeFile(Buffer.alloc(16));
+
+    assert.strictEqual(result.service, 'offline');
+    assert.strictEqual(result.text, 'hi how are you fine thanks');
+    assert.deepStrictEqual(result.utterances.map(({ speaker, start, end }) => ({ speaker, start, end })), [
+        { speaker: '0', start: 0, end: 2 },
+        { speaker: '1', start: 2, end: 3 }
+    ]);
+    assert.strictEqual(result.words.length, 6);
+    assert.deepStrictEqual(await provider.transcribeUrl('https://example.com/a.wav'), result);
+});
+
+test('an AssemblyAI session that never starts reports an error and closes', async () => {
+    const transcriber = new EventEmitter();
+    transcriber.connect = () => Promise.reject(new Error('401 invalid API key'));
+    transcriber.close = async () => transcriber.emit('close', 1000);
+    const client = { realtime: { transcriber: () => transcriber } };
+
+    const stream = createAssemblyAIStream({ client, audioFormat: MULAW_8K });
+    const events = [];
+    stream.on('error', error => events.push(`error: ${error.message}`));
+    stream.on('close', () => events.push('close'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(events, ['error: 401 invalid API key', 'close']);
+    stream.send(Buffer.alloc(160, 0xff));
+    stream.close();
+    assert.deepStrictEqual(events, ['error: 401 invalid API key', 'close']);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fuseTranscripts, alignWords } = require('../lib/transcript-fusion');
+const { wordErrors } = require('./helpers/wer');
+const corpus = require('./fixtures/rover-corpus.json');
+
+// "cook:0.41 an" → timed words
+function parseWords(text) {
+    return text.split(' ').map((token, index) => {
+        const [word, confidence] = token.split(':');
+        return { word, start: index * 0.3, end: index * 0.3 + 0.3, confidence: confidence ? Number(confidence) : 0.92 };
+    });
+}
+
+function engineResult(service, { confidence, words }) {
+    const parsed = parseWords(words);
+    return { service, text: parsed.map(word => word.word).join(' '), confidence, words: parsed };
+}
+
+test('ROVER fusion beats every single engine on the corpus', () => {
+    const totals = { fused: { errors: 0, words: 0 } };
+    const add = (name, { errors, words }) => {
+        totals[name] = totals[name] || { errors: 0, words: 0 };
+        totals[name].errors += errors;
+        totals[name].words += words;
+    };
+
+    for (const { reference, engines } of corpus.cases) {
+        const results = Object.entries(engines).map(([service, engine]) => engineResult(service, engine));
+        const fused = fuseTranscripts(results);
+        assert.strictEqual(fused.source, 'rover');
+
+        add('fused', wordErrors(reference, fused.text));
+        for (const result of results) {
+            add(result.service, wordErrors(reference, result.text));
+        }
+    }
+
+    const wer = ({ errors, words }) => errors / words;
+    const fusedWer = wer(totals.fused);
+    for (const [name, total] of Object.entries(totals)) {
+        if (name !== 'fused') {
+            assert.ok(fusedWer < wer(total), `fused WER ${fusedWer.toFixed(3)} should beat ${name} ${wer(total).toFixed(3)}`);
+        }
+    }
+    assert.ok(fusedWer <= 0.05, `fused WER ${fusedWer.toFixed(3)} is above 5%`);
+});
+
+test('fused words say which engines heard them', () => {
+    const { engines } = corpus.cases[0];
+    const fused = fuseTranscripts(Object.entries(engines).map(([service, engine]) => engineResult(service, engine)));
+    const book = fused.words.find(word => word.word === 'book');
+    assert.strictEqual(book.source, 'assemblyai');
+    assert.deepStrictEqual(book.sources, ['assemblyai']);
+    const appointment = fused.words.find(word => word.word === 'appointment');
+    assert.deepStrictEqual(appointment.sources.sort(), ['assemblyai', 'deepgram']);
+});
+
+test('falls back to the most confident transcript without word timings', () => {
+    const fused = fuseTranscripts([
+        { service: 'deepgram', text: 'hello there', confidence: 0.8, words: [] },
+        { service: 'assemblyai', text: 'hello bear', confidence: 0.9 }
+    ]);
+    assert.strictEqual(fused.text, 'hello bear');
+    assert.strictEqual(fused.source, 'fused_assemblyai_primary');
+    assert.strictEqual(fuseTranscripts([null, { service: 'offline', text: 'hi', confidence: 0.9 }]).source, 'offline_primary');
+    assert.strictEqual(fuseTranscripts([null, null]), null);
+});
+
+// A long call: both engines hear 3000 words, one misses a 200-word stretch in the middle
+function longCall() {
+    const vocabulary = ['the', 'account', 'price', 'meeting', 'please', 'send', 'invoice', 'week', 'support', 'number', 'help'];
+    const words = Array.from({ length: 3000 }, (_, index) => ({
+        word: vocabulary[(index * 7 + Math.floor(index / 11)) % vocabulary.length],
+        start: index * 0.3,
+        end: index * 0.3 + 0.3,
+        confidence: 0.9
+    }));
+    const gapped = words.filter((word, index) => index < 1400 || index >= 1600);
+    return [
+        { service: 'deepgram', text: words.map(word => word.word).join(' '), confidence: 0.9, words },
+        { service: 'assemblyai', text: gapped.map(word => word.word).join(' '), confidence: 0.88, words: gapped }
+    ];
+}
+
+test('long recordings align quickly and keep words only one engine heard', () => {
+    const results = longCall();
+    const startedAt = process.hrtime.bigint();
+    const fused = fuseTranscripts(results);
+    const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    assert.strictEqual(fused.text, results[0].text);
+    assert.ok(elapsedMs < 1000, `fusing 3000 words took ${Math.round(elapsedMs)}ms`);
+});
+
+test('alignment puts the same word from every engine in one slot', () => {
+    const first = alignWords([], 'a', parseWords('please send the invoice'));
+    const slots = alignWords(first, 'b', parseWords('Please sent the invoice, today'));
+    assert.deepStrictEqual(slots.map(slot => Object.fromEntries(Object.entries(slot.votes).map(([engine, vote]) => [engine, vote && vote.word]))), [
+        { a: 'please', b: 'Please' },
+        { a: 'send', b: 'sent' },
+        { a: 'the', b: 'the' },
+        { a: 'invoice', b: 'invoice,' },
+        { a: null, b: 'today' }
+    ]);
+});
@@ -0,0 +1,72 @@
+const { test, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { loadCallFlows } = require('../lib/call-flows');
+const TwiML = require('../lib/twiml');
+const { createSnapshots } = require('./helpers/snapshot');
+
+const BASE_URL = 'https://calls.example.com';
+const { matchSnapshot, save } = createSnapshots(__filename);
+const config = loadCallFlows(path.join(__dirname, '..', 'config', 'call-flows.json'));
+
+after(save);
+
+// The TwiML each flow answers with, as the call routes build it
+function flowResponses(flow) {
+    const responses = {};
+    if (flow.mode === 'conference') {
+        const conferenceId = `${flow.conferencePrefix}-CA123`;
+        responses.caller = TwiML.conferenceResponse(flow, conferenceId, { baseUrl: BASE_URL, greeting: flow.greeting, inbound: true });
+        responses.participant = TwiML.conferenceResponse(flow, conferenceId, { baseUrl: BASE_URL, greeting: flow.participantGreeting, inbound: false });
+    } else if (flow.mode === 'bridge') {
+        responses.bridge = TwiML.bridgeResponse(flow, { baseUrl: BASE_URL, targetNumber: '+447700900001', callerNumber: '+447700900002' });
+    } else {
+        responses.agent = TwiML.agentResponse(flow, { baseUrl: BASE_URL });
+    }
+    if (flow.consent.enabled) {
+        responses.consent = TwiML.consentResponse(flow, { baseUrl: BASE_URL });
+    }
+    return responses;
+}
+
+for (const flow of Object.values(config.flows)) {
+    test(`call flow "${flow.name}" TwiML`, () => {
+        for (const [step, twiml] of Object.entries(flowResponses(flow))) {
+            matchSnapshot(`${flow.name} ${step}`, twiml);
+        }
+    });
+}
+
+test('dual-channel flows record legs separately', () => {
+    const flow = { ...config.flows.enhanced, recordingChannels: 'dual' };
+    const caller = TwiML.conferenceResponse(flow, 'enhanced-CA123', { baseUrl: BASE_URL, greeting: null, inbound: true });
+    assert.match(caller, /record="do-not-record"/);
+    assert.match(caller, /statusCallbackEvent="start end join leave"/);
+
+    const bridge = TwiML.bridgeResponse({ ...config.flows.hybrid, recordingChannels: 'dual' }, {
+        baseUrl: BASE_URL,
+        targetNumber: '+447700900001',
+        callerNumber: '+447700900002'
+    });
+    matchSnapshot('hybrid bridge dual', bridge);
+});
+
+test('text, names and URLs are XML-escaped', () => {
+    const flow = {
+        ...config.flows.enhanced,
+        name: 'sales & "support"',
+        greeting: 'Tom & Jerry\'s <b>shop</b>',
+        closingMessage: 'Bye < now >'
+    };
+    const conference = TwiML.conferenceResponse(flow, 'conf&<CA1>', { baseUrl: `${BASE_URL}/a?x=1&y=2`, greeting: flow.greeting, inbound: true });
+    assert.ok(!conference.includes('<b>'));
+    assert.ok(conference.includes('Tom &amp; Jerry\'s &lt;b&gt;shop&lt;/b&gt;'));
+    assert.ok(conference.includes('>conf&amp;&lt;CA1&gt;</Conference>'));
+    matchSnapshot('escaping conference', conference);
+
+    const menu = { prompt: 'Press 1 for "sales" & 2 for <support>', timeout: 5 };
+    matchSnapshot('escaping menu', TwiML.menuResponse(flow, menu, { baseUrl: BASE_URL, message: 'Sorry & again' }));
+    matchSnapshot('escaping voicemail', TwiML.voicemailResponse(flow, { baseUrl: BASE_URL, caller: '+44 <unknown>', conferenceId: 'conf&1' }));
+    matchSnapshot('escaping agent', TwiML.agentResponse(flow, { baseUrl: BASE_URL }));
+    matchSnapshot('escaping hangup', TwiML.sayAndHangup('Closed <today> & "tomorrow"'));
+});
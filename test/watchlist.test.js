@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { loadWatchlist, matchWatchlist, dueAlerts } = require('../lib/watchlist');
+
+const watchlist = loadWatchlist(path.join(__dirname, 'fixtures', 'watchlist.json'));
+
+const entriesHit = (text, options) => matchWatchlist(watchlist, text, options).map(hit => hit.entry);
+
+test('phrases match whatever the case and however many spaces between words', () => {
+    assert.deepStrictEqual(entriesHit('I will SUE you'), ['legal']);
+    assert.deepStrictEqual(entriesHit('we are taking Legal   Action'), ['legal']);
+    assert.deepStrictEqual(entriesHit('please close\nmy account'), ['cancellation']);
+    assert.deepStrictEqual(entriesHit('switching to o2 next month'), ['competitor']);
+});
+
+test('phrases only match whole words, unless they end in *', () => {
+    assert.deepStrictEqual(entriesHit('there is an issue with my bill'), []);           // not "sue"
+    assert.deepStrictEqual(entriesHit('pursue the order'), []);
+    assert.deepStrictEqual(entriesHit('the O2x router'), []);
+    assert.deepStrictEqual(entriesHit('I cancelled it yesterday'), ['cancellation']);  // "cancel*"
+    assert.deepStrictEqual(entriesHit('it was (cancelled).'), ['cancellation']);
+    assert.deepStrictEqual(entriesHit('a precancel check'), []);
+});
+
+test('one hit per entry, the earliest phrase, timed by its own word', () => {
+    const words = ['I', 'want', 'a', 'better', 'deal', 'or', 'I', 'cancel', 'and', 'sue']
+        .map((word, index) => ({ word, start: 10 + index * 0.5 }));
+    const hits = matchWatchlist(watchlist, words.map(word => word.word).join(' '), { speaker: 'caller', start: 10, words });
+
+    assert.deepStrictEqual(hits.map(({ entry, phrase, matched_text, offset }) => ({ entry, phrase, matched_text, offset })), [
+        { entry: 'legal', phrase: 'sue', matched_text: 'sue', offset: 14.5 },
+        { entry: 'cancellation', phrase: 'cancel*', matched_text: 'cancel', offset: 13.5 },
+        { entry: 'competitor', phrase: 'better deal', matched_text: 'better deal', offset: 11.5 }
+    ]);
+    assert.strictEqual(matchWatchlist(watchlist, 'I will sue', { start: 7 })[0].offset, 7);
+});
+
+test('entries limited to the caller ignore the other speaker', () => {
+    assert.deepStrictEqual(entriesHit('I can cancel that for you, or we could sue', { speaker: 'participant' }), ['legal']);
+    assert.deepStrictEqual(entriesHit('I can cancel that for you', { speaker: 'caller' }), ['cancellation']);
+});
+
+test('a disabled watchlist raises nothing', () => {
+    assert.deepStrictEqual(matchWatchlist({ ...watchlist, enabled: false }, 'I will sue'), []);
+});
+
+test('a repeated alert on the same call is sent once per cooldown, per entry and speaker', () => {
+    const sent = new Map();
+    const due = (text, { callId = 'conf-CA1', speaker = 'caller', now }) =>
+        dueAlerts(watchlist, matchWatchlist(watchlist, text, { speaker }), { callId, speaker, sent, now }).map(hit => hit.entry);
+
+    assert.deepStrictEqual(due('I want to cancel', { now: 1000 }), ['cancellation']);
+    assert.deepStrictEqual(due('cancel it, cancel everything', { now: 2000 }), []);
+    assert.deepStrictEqual(due('cancel it or I will sue', { now: 3000 }), ['legal']);
+
+    // Another speaker or another call has its own cooldown
+    assert.deepStrictEqual(due('they will sue', { speaker: 'participant', now: 4000 }), ['legal']);
+    assert.deepStrictEqual(due('I want to cancel', { callId: 'conf-CA2', now: 5000 }), ['cancellation']);
+
+    // Once the cooldown has passed it alerts again
+    assert.deepStrictEqual(due('I want to cancel', { now: 1000 + 59999 }), []);
+    assert.deepStrictEqual(due('I want to cancel', { now: 1000 + 60000 }), ['cancellation']);
+});